@@ -35,8 +35,10 @@ const Constants = {
     INDENT: {
         PARENT: 0,
         CHILD: 1,
-        MAX: 1
+        MAX: 1 // Default; the actual limit comes from settings (maxIndent)
     },
+    // Shift+Space cycles through these; null is a plain open task
+    STATUS_CYCLE: [null, 'in-progress', 'cancelled', 'deferred'],
     ITEM_PADDING_BASE: 4,
     ITEM_PADDING_PER_INDENT: 20
 };
@@ -49,8 +51,9 @@ let archivedItems = []; // Archived items (separate from main items list)
 let archivedSelectedIndices = new Set(); // Selection state for archived items
 let archivedActiveIndex = -1; // Active index in archived items
 let archivedAnchorIndex = -1; // Anchor index for shift-selection in archived items
-let history = [];
-let future = [];
+let history = []; // Undo steps (see HistoryUtils), oldest first
+let future = []; // Redo steps
+let pendingState = null; // State saved before the change in progress
 let activeIndex = -1;
 let anchorIndex = -1;
 let selectedIndices = new Set();
@@ -65,10 +68,15 @@ let dragState = { dragging: false, draggedIndex: -1, draggedIndices: [], dropTar
 let dragIndicator = null;
 let isArchiveActive = false; // Whether archive section is active (for keyboard navigation)
 let isArchiveHeaderSelected = false; // Whether the archive header is selected
+let activeTagFilters = new Set(); // Lower-cased tags selected in the filter bar
+let hiddenIndices = new Set(); // Main item indices hidden by the tag filter
+let currentFileKey = null; // Task file shown in the sidebar (set by the extension)
+let lastNotifiedActiveId = null; // Active item last reported to the extension (selection sync)
 
 // Settings
 let taskMoveModifier = 'ctrl'; // 'ctrl' or 'alt'
 let newItemTrigger = 'shift+enter'; // 'enter' or 'shift+enter'
+let maxIndent = Constants.INDENT.MAX; // Deepest subtask level (archyTask.maxNestingDepth)
 let isMac = false;
 
 // ============================================================
@@ -102,19 +110,54 @@ const ItemUtils = {
     },
 
     /**
-     * Count the children of a parent item (indent 0)
+     * Check if an item is locked (the file headings of the All Task Files view)
+     * @param {Object} item - The item to check
+     * @returns {boolean}
+     */
+    isLocked(item) {
+        return !!(item && item.locked);
+    },
+
+    /**
+     * Find the task file an item belongs to in the All Task Files view
+     * @param {Array} itemList - The items array
+     * @param {number} index - Index of the item
+     * @returns {string|undefined} Key of the file heading above the item, or undefined
+     */
+    getSource(itemList, index) {
+        for (let i = index; i >= 0; i--) {
+            if (this.isLocked(itemList[i])) return itemList[i].source;
+        }
+        return undefined;
+    },
+
+    /**
+     * Find where a file's section ends in the All Task Files view
+     * @param {Array} itemList - The items array
+     * @param {string|undefined} source - Key of the task file
+     * @returns {number} Index of the next file heading after the file's own, or the end of the list
+     */
+    getSourceEnd(itemList, source) {
+        const start = source === undefined ? -1 : itemList.findIndex(item => this.isLocked(item) && item.source === source);
+        if (start === -1) return itemList.length;
+        const next = itemList.findIndex((item, i) => i > start && this.isLocked(item));
+        return next === -1 ? itemList.length : next;
+    },
+
+    /**
+     * Count the descendants of a task (following items nested deeper than it)
      * @param {Array} itemList - The items array
      * @param {number} parentIndex - Index of the parent item
-     * @returns {number} Number of children (items with indent > 0 following the parent)
+     * @returns {number} Number of descendants, at any depth
      */
     getChildCount(itemList, parentIndex) {
         if (parentIndex < 0 || parentIndex >= itemList.length) return 0;
         const parentItem = itemList[parentIndex];
-        if (parentItem.indent !== Constants.INDENT.PARENT || parentItem.type === 'heading') return 0;
+        if (parentItem.type === 'heading') return 0;
 
         let count = 0;
         for (let i = parentIndex + 1; i < itemList.length; i++) {
-            if (itemList[i].indent <= Constants.INDENT.PARENT || itemList[i].type === 'heading') break;
+            if (itemList[i].indent <= parentItem.indent || itemList[i].type === 'heading') break;
             count++;
         }
         return count;
@@ -138,14 +181,10 @@ const ItemUtils = {
                 if (itemList[i].type === 'heading') break;
                 count++;
             }
-        } else if (item.indent === Constants.INDENT.PARENT) {
-            // Parent includes all children
-            for (let i = index + 1; i < itemList.length; i++) {
-                if (itemList[i].indent <= Constants.INDENT.PARENT || itemList[i].type === 'heading') break;
-                count++;
-            }
+        } else {
+            // Task includes its whole subtree
+            count += this.getChildCount(itemList, index);
         }
-        // For indent 1, count stays 1
 
         return {
             items: itemList.slice(index, index + count),
@@ -154,27 +193,31 @@ const ItemUtils = {
     },
 
     /**
-     * Check if a child item's parent is selected
+     * Check if any ancestor of a nested item is selected
      * @param {Array} itemList - The items array
      * @param {number} childIndex - Index of the child item
      * @param {Set} selectedSet - Set of selected indices
-     * @returns {boolean} True if parent is selected
+     * @returns {boolean} True if an ancestor is selected
      */
     isParentSelected(itemList, childIndex, selectedSet) {
         const item = itemList[childIndex];
-        if (!item || item.indent !== Constants.INDENT.CHILD) return false;
+        if (!item || item.type === 'heading' || item.indent <= Constants.INDENT.PARENT) return false;
 
+        let currentIndent = item.indent;
         for (let i = childIndex - 1; i >= 0; i--) {
-            if (itemList[i].indent === Constants.INDENT.PARENT) {
-                return selectedSet.has(i);
-            }
             if (itemList[i].type === 'heading') break;
+            if (itemList[i].indent < currentIndent) {
+                // Found the next ancestor up the tree
+                if (selectedSet.has(i)) return true;
+                currentIndent = itemList[i].indent;
+                if (currentIndent <= Constants.INDENT.PARENT) break;
+            }
         }
         return false;
     },
 
     /**
-     * Collect items to move/copy, filtering out children whose parents are also selected
+     * Collect items to move/copy, filtering out items whose ancestors are also selected
      * @param {Array} itemList - The items array
      * @param {Set} selectedSet - Set of selected indices
      * @param {Object} options - Options { excludeHeadings: boolean }
@@ -190,8 +233,8 @@ const ItemUtils = {
             if (!item) return;
             if (excludeHeadings && item.type === 'heading') return;
 
-            // Skip children whose parents are also selected
-            if (item.indent === Constants.INDENT.CHILD && this.isParentSelected(itemList, index, selectedSet)) {
+            // Skip nested items whose ancestors are also selected
+            if (item.indent > Constants.INDENT.PARENT && this.isParentSelected(itemList, index, selectedSet)) {
                 return;
             }
 
@@ -212,6 +255,8 @@ const ItemUtils = {
             const copy = JSON.parse(JSON.stringify(item));
             if (generateNewIds) {
                 copy.id = this.generateId();
+                // Unrecognized markdown stays with the original item only
+                delete copy.passthrough;
             }
             return copy;
         });
@@ -234,21 +279,343 @@ const ItemUtils = {
     },
 
     /**
-     * Adjust indent of first item if it would be orphaned
+     * Get the state that follows a task's current one in the Shift+Space cycle
+     * @param {Object} item - The todo item
+     * @returns {string|null} Next state (done tasks restart the cycle as open)
+     */
+    getNextStatus(item) {
+        const current = item.isChecked ? null : (item.status || null);
+        const cycle = Constants.STATUS_CYCLE;
+        return cycle[(cycle.indexOf(current) + 1) % cycle.length];
+    },
+
+    /**
+     * Check whether a nested task is the last child of its parent
+     * @param {Array} itemList - The items array
+     * @param {number} index - Index of the item
+     * @returns {boolean} True if no later sibling follows before the parent's subtree ends
+     */
+    isLastSibling(itemList, index) {
+        const indent = itemList[index].indent;
+        for (let i = index + 1; i < itemList.length; i++) {
+            if (itemList[i].type === 'heading' || itemList[i].indent < indent) return true;
+            if (itemList[i].indent === indent) return false;
+        }
+        return true;
+    },
+
+    /**
+     * Get the deepest indent an item inserted at a position may have
+     * @param {Array} itemList - The items array
+     * @param {number} position - The insert position
+     * @returns {number} One level below the task above, or 0 after a heading / at the top
+     */
+    getMaxIndentAt(itemList, position) {
+        if (position === 0 || !this.hasParentAbove(itemList, position)) return Constants.INDENT.PARENT;
+        return itemList[position - 1].indent + 1;
+    },
+
+    /**
+     * Shift inserted items up the tree if the first one would be orphaned
      * @param {Array} itemsToInsert - Items being inserted
      * @param {Array} targetList - The target items array
      * @param {number} insertPosition - Where items will be inserted
      */
     adjustOrphanedIndent(itemsToInsert, targetList, insertPosition) {
         if (itemsToInsert.length === 0) return;
-        if (itemsToInsert[0].indent !== Constants.INDENT.CHILD) return;
+        const firstIndent = itemsToInsert[0].indent;
+        if (firstIndent <= Constants.INDENT.PARENT) return;
 
-        if (insertPosition === 0 || !this.hasParentAbove(targetList, insertPosition)) {
-            itemsToInsert[0].indent = Constants.INDENT.PARENT;
+        const delta = this.getMaxIndentAt(targetList, insertPosition) - firstIndent;
+        if (delta >= 0) return;
+
+        // Shift the first item together with its siblings and subtrees
+        for (const item of itemsToInsert) {
+            if (item.indent < firstIndent) break;
+            item.indent = Math.max(Constants.INDENT.PARENT, item.indent + delta);
         }
     }
 };
 
+// ============================================================
+// DueDateUtils - Due date parsing and state
+// ============================================================
+const DueDateUtils = {
+    PATTERN: /(^|\s)(📅\s?|due:)(\d{4}-\d{2}-\d{2})(?=\s|$)/u,
+
+    /**
+     * Take a due date token (📅 YYYY-MM-DD or due:YYYY-MM-DD) out of a typed title
+     * @param {string} title - The title as typed
+     * @returns {{title: string, due: string|null, dueStyle: string}} Remaining title and the date, if any
+     */
+    extract(title) {
+        const match = title.match(this.PATTERN);
+        if (!match || !this.isValid(match[3])) {
+            return { title, due: null, dueStyle: 'emoji' };
+        }
+        const rest = (title.substring(0, match.index) + title.substring(match.index + match[0].length)).trim();
+        // A title that is only a date stays as it is
+        if (rest === '') {
+            return { title, due: null, dueStyle: 'emoji' };
+        }
+        return { title: rest, due: match[3], dueStyle: match[2] === 'due:' ? 'keyword' : 'emoji' };
+    },
+
+    /**
+     * Check that a YYYY-MM-DD string is a real calendar date
+     * @param {string} value - The date string
+     * @returns {boolean} True if valid
+     */
+    isValid(value) {
+        const [year, month, day] = value.split('-').map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    },
+
+    /**
+     * Get today's local date as YYYY-MM-DD
+     * @param {Date} [now=new Date()] - Current time
+     * @returns {string} Today's date
+     */
+    today(now = new Date()) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    },
+
+    /**
+     * Classify a task's due date
+     * @param {Object} item - The item
+     * @param {string} today - Today's date as YYYY-MM-DD
+     * @returns {string|null} 'overdue', 'today', 'upcoming', or null if there is nothing to warn about
+     */
+    getState(item, today) {
+        if (!item.due || item.isChecked || item.status === 'cancelled') return null;
+        // ISO dates compare correctly as strings
+        if (item.due < today) return 'overdue';
+        if (item.due === today) return 'today';
+        return 'upcoming';
+    },
+
+    /**
+     * Short label for the due chip
+     * @param {string} due - Due date as YYYY-MM-DD
+     * @param {string} today - Today's date as YYYY-MM-DD
+     * @returns {string} 'Today', or the date without the year when it is this year
+     */
+    formatLabel(due, today) {
+        if (due === today) return 'Today';
+        return due.substring(0, 4) === today.substring(0, 4) ? due.substring(5) : due;
+    }
+};
+
+// ============================================================
+// LinkUtils - Code links (path:line) of tasks
+// ============================================================
+const LinkUtils = {
+    /**
+     * Full text of a code link
+     * @param {{path: string, line: number}} link - Path relative to the task file and one-based line
+     * @returns {string} path:line
+     */
+    format(link) {
+        return `${link.path}:${link.line}`;
+    },
+
+    /**
+     * Short label for the link chip
+     * @param {{path: string, line: number}} link - Code link
+     * @returns {string} File name and line, without the folders
+     */
+    formatLabel(link) {
+        const name = link.path.substring(link.path.lastIndexOf('/') + 1);
+        return `${name}:${link.line}`;
+    }
+};
+
+// ============================================================
+// TagUtils - #tag parsing and filtering
+// ============================================================
+const TagUtils = {
+    PATTERN: /(^|\s)#([\p{L}\p{N}_](?:[\p{L}\p{N}_\-/.]*[\p{L}\p{N}_])?)/gu,
+    COLOR_COUNT: 6,
+
+    /**
+     * Find #tag tokens in a title
+     * @param {string} title - The title
+     * @returns {Array<{tag: string, start: number, end: number}>} Tags (without '#') and their positions
+     */
+    findTags(title) {
+        const found = [];
+        for (const match of (title || '').matchAll(this.PATTERN)) {
+            // Purely numeric tokens are issue numbers, not tags
+            if (/^\d+$/.test(match[2])) continue;
+            const start = match.index + match[1].length;
+            found.push({ tag: match[2], start, end: start + 1 + match[2].length });
+        }
+        return found;
+    },
+
+    /**
+     * Get the distinct tags of a title
+     * @param {string} title - The title
+     * @returns {Array<string>} Tags without '#', first spelling wins for case variants
+     */
+    extract(title) {
+        const tags = [];
+        const seen = new Set();
+        this.findTags(title).forEach(({ tag }) => {
+            const key = tag.toLowerCase();
+            if (!seen.has(key)) {
+                seen.add(key);
+                tags.push(tag);
+            }
+        });
+        return tags;
+    },
+
+    /**
+     * Pick a stable color slot for a tag
+     * @param {string} tag - The tag
+     * @returns {number} Color index from 0 to COLOR_COUNT - 1
+     */
+    colorIndex(tag) {
+        let hash = 0;
+        for (const ch of tag.toLowerCase()) {
+            hash = (hash * 31 + ch.codePointAt(0)) >>> 0;
+        }
+        return hash % this.COLOR_COUNT;
+    },
+
+    /**
+     * Collect all tags used in a list
+     * @param {Array} itemList - The items array
+     * @returns {Array<string>} Distinct tags sorted by name
+     */
+    collectAll(itemList) {
+        const tags = new Map();
+        itemList.forEach(item => {
+            this.extract(item.title).forEach(tag => {
+                const key = tag.toLowerCase();
+                if (!tags.has(key)) tags.set(key, tag);
+            });
+        });
+        return Array.from(tags.values()).sort((a, b) => a.localeCompare(b));
+    },
+
+    /**
+     * Work out which items the tag filter hides
+     * Matching tasks stay visible with their ancestors, their subtasks and their heading
+     * @param {Array} itemList - The items array
+     * @param {Set<string>} filters - Lower-cased tags to show
+     * @returns {Set<number>} Indices to hide
+     */
+    getHiddenIndices(itemList, filters) {
+        const hidden = new Set();
+        if (filters.size === 0) return hidden;
+
+        const visible = new Set();
+        itemList.forEach((item, index) => {
+            if (item.type !== 'todo') return;
+            const matches = this.extract(item.title).some(tag => filters.has(tag.toLowerCase()));
+            if (!matches) return;
+
+            // The task and its subtree
+            const childCount = ItemUtils.getChildCount(itemList, index);
+            for (let i = index; i <= index + childCount; i++) {
+                visible.add(i);
+            }
+
+            // Its ancestors and heading, for context
+            let depth = item.indent;
+            for (let i = index - 1; i >= 0; i--) {
+                if (itemList[i].type === 'heading') {
+                    visible.add(i);
+                    break;
+                }
+                if (depth > 0 && itemList[i].indent < depth) {
+                    visible.add(i);
+                    depth = itemList[i].indent;
+                }
+            }
+        });
+
+        itemList.forEach((item, index) => {
+            if (!visible.has(index)) hidden.add(index);
+        });
+        return hidden;
+    },
+
+    /**
+     * Find the nearest visible item in a direction
+     * @param {number} fromIndex - Starting index (not included)
+     * @param {number} step - -1 for up, 1 for down
+     * @returns {number} Index of the visible item, or -1
+     */
+    findVisible(fromIndex, step) {
+        for (let i = fromIndex + step; i >= 0 && i < items.length; i += step) {
+            if (!hiddenIndices.has(i)) return i;
+        }
+        return -1;
+    }
+};
+
+// ============================================================
+// PriorityUtils - Priority markers and sorting
+// ============================================================
+const PriorityUtils = {
+    // Sort order; null (no marker) sits between medium and low
+    RANKS: ['highest', 'high', 'medium', null, 'low', 'lowest'],
+    EMOJI: { '🔺': 'highest', '⏫': 'high', '🔼': 'medium', '🔽': 'low', '⏬': 'lowest' },
+    LETTERS: { A: 'high', B: 'medium', C: 'low' },
+    BANGS: { '!!!': 'high', '!!': 'medium', '!': 'low' },
+
+    /**
+     * Read the priority marker of a title (🔺⏫🔼🔽⏬, a leading (A)/(B)/(C), or !!!/!!/!)
+     * @param {string} title - The title
+     * @returns {string|null} 'highest', 'high', 'medium', 'low', 'lowest', or null
+     */
+    getLevel(title) {
+        if (!title) return null;
+        for (const ch of title) {
+            if (this.EMOJI[ch]) return this.EMOJI[ch];
+        }
+        const letter = title.match(/^\(([ABC])\)(?=\s|$)/);
+        if (letter) return this.LETTERS[letter[1]];
+        const bangs = title.match(/(?:^|\s)(!{1,3})(?=\s|$)/);
+        if (bangs) return this.BANGS[bangs[1]];
+        return null;
+    },
+
+    /**
+     * Get the sort rank of an item (lower sorts first)
+     * @param {Object} item - The item
+     * @returns {number} Rank
+     */
+    getRank(item) {
+        return this.RANKS.indexOf(this.getLevel(item.title));
+    },
+
+    /**
+     * Sort the tasks of a section by priority, keeping each task's subtasks with it
+     * Equal priorities keep their current order
+     * @param {Array} itemList - The items array
+     * @param {number} start - First index of the section (after its heading)
+     * @param {number} end - Index after the last item of the section
+     * @returns {Array} The section's items in sorted order
+     */
+    sortSection(itemList, start, end) {
+        const blocks = [];
+        let i = start;
+        while (i < end) {
+            const { items: block, count } = ItemUtils.getItemWithChildren(itemList, i);
+            blocks.push(block);
+            i += Math.max(count, 1);
+        }
+        blocks.sort((a, b) => this.getRank(a[0]) - this.getRank(b[0]));
+        return blocks.flat();
+    }
+};
+
 // ============================================================
 // SelectionManager - Manages selection state
 // ============================================================
@@ -349,20 +716,43 @@ const RenderUtils = {
      * Create the base item div element with classes and styles
      * @param {Object} item - The item
      * @param {number} index - Index of the item
+     * @param {Array} [itemList=items] - The list the item belongs to
      * @returns {HTMLElement} The created div element
      */
-    createItemDiv(item, index) {
+    createItemDiv(item, index, itemList = items) {
         const itemDiv = document.createElement('div');
         itemDiv.className = `item item-${item.type} indent-${item.indent} ${item.isChecked ? 'checked' : ''}`;
         if (ItemUtils.isArchiveHeading(item)) {
             itemDiv.classList.add('item-archive');
         }
+        if (ItemUtils.isLocked(item)) {
+            itemDiv.classList.add('item-file-heading');
+        }
+        if (item.status) {
+            itemDiv.classList.add(`status-${item.status}`);
+        }
+        this.addTreeClasses(itemDiv, item, index, itemList);
         itemDiv.dataset.id = item.id;
         itemDiv.dataset.index = index;
         itemDiv.style.paddingLeft = `${this.calculatePadding(item)}px`;
         return itemDiv;
     },
 
+    /**
+     * Add the classes used to draw tree lines for nested tasks
+     * @param {HTMLElement} itemDiv - The item div
+     * @param {Object} item - The item
+     * @param {number} index - Index of the item
+     * @param {Array} itemList - The list the item belongs to
+     */
+    addTreeClasses(itemDiv, item, index, itemList) {
+        if (item.type === 'heading' || item.indent === 0) return;
+        itemDiv.classList.add('nested');
+        if (ItemUtils.isLastSibling(itemList, index)) {
+            itemDiv.classList.add('last-sibling');
+        }
+    },
+
     /**
      * Create a checkbox element for todo items
      * @param {Object} item - The item
@@ -374,10 +764,19 @@ const RenderUtils = {
         const checkbox = document.createElement('input');
         checkbox.type = 'checkbox';
         checkbox.checked = item.isChecked;
+        if (item.status) {
+            checkbox.dataset.status = item.status;
+        }
         checkbox.onclick = (e) => {
             e.stopPropagation();
             item.isChecked = checkbox.checked;
             itemDiv.classList.toggle('checked', checkbox.checked);
+            // Clicking resolves any extended state to plain open / done
+            if (item.status) {
+                itemDiv.classList.remove(`status-${item.status}`);
+                delete checkbox.dataset.status;
+                item.status = null;
+            }
             onUpdate();
         };
         return checkbox;
@@ -439,13 +838,95 @@ const RenderUtils = {
                 archiveCount++;
             }
             titleSpan.textContent = `Archive [${archiveCount}]`;
+        } else if (item.title) {
+            this.fillTitle(titleSpan, item.title);
         } else {
-            titleSpan.textContent = item.title || '(No Title)';
+            titleSpan.textContent = '(No Title)';
         }
 
         return titleSpan;
     },
 
+    /**
+     * Fill a title element, showing #tags as colored pills
+     * @param {HTMLElement} titleSpan - The title element
+     * @param {string} title - The title text
+     */
+    fillTitle(titleSpan, title) {
+        let last = 0;
+        TagUtils.findTags(title).forEach(({ tag, start, end }) => {
+            titleSpan.appendChild(document.createTextNode(title.substring(last, start)));
+            const pill = document.createElement('span');
+            pill.className = `item-tag tag-color-${TagUtils.colorIndex(tag)}`;
+            pill.textContent = `#${tag}`;
+            titleSpan.appendChild(pill);
+            last = end;
+        });
+        titleSpan.appendChild(document.createTextNode(title.substring(last)));
+    },
+
+    /**
+     * Create priority indicator if the task has a priority marker
+     * @param {Object} item - The item
+     * @returns {HTMLElement|null} The indicator element or null
+     */
+    createPriorityIndicator(item) {
+        if (item.type !== 'todo') return null;
+        const level = PriorityUtils.getLevel(item.title);
+        if (!level) return null;
+        const icons = {
+            highest: 'codicon-flame',
+            high: 'codicon-arrow-up',
+            medium: 'codicon-chevron-up',
+            low: 'codicon-chevron-down',
+            lowest: 'codicon-arrow-down'
+        };
+        const indicator = document.createElement('i');
+        indicator.className = `codicon ${icons[level]} item-priority priority-${level}`;
+        indicator.title = `Priority: ${level}`;
+        return indicator;
+    },
+
+    /**
+     * Create due date chip if the task has a due date
+     * @param {Object} item - The item
+     * @returns {HTMLElement|null} The chip element or null
+     */
+    createDueChip(item) {
+        if (item.type !== 'todo' || !item.due) return null;
+        const today = DueDateUtils.today();
+        const chip = document.createElement('span');
+        chip.className = 'item-due';
+        const state = DueDateUtils.getState(item, today);
+        if (state) {
+            chip.classList.add(`item-due-${state}`);
+        }
+        chip.textContent = DueDateUtils.formatLabel(item.due, today);
+        chip.title = `Due ${item.due}`;
+        return chip;
+    },
+
+    /**
+     * Create a chip that opens the code a task links to
+     * @param {Object} item - The item
+     * @returns {HTMLElement|null} The chip element or null
+     */
+    createLinkChip(item) {
+        if (item.type !== 'todo' || !item.link) return null;
+        const chip = document.createElement('span');
+        chip.className = 'item-link';
+        const icon = document.createElement('i');
+        icon.className = 'codicon codicon-link';
+        chip.appendChild(icon);
+        chip.appendChild(document.createTextNode(LinkUtils.formatLabel(item.link)));
+        chip.title = `Open ${LinkUtils.format(item.link)}`;
+        chip.onclick = (e) => {
+            e.stopPropagation();
+            openLink(item);
+        };
+        return chip;
+    },
+
     /**
      * Create note icon if item has a note
      * @param {Object} item - The item
@@ -513,7 +994,7 @@ const RenderUtils = {
 // ============================================================
 const MoveUtils = {
     /**
-     * Expand selection to include children of selected parent items
+     * Expand selection to include the subtrees of selected tasks
      * @param {Array} indices - Selected indices
      * @param {Array} itemList - Items array
      * @returns {Array} Expanded and sorted indices
@@ -522,13 +1003,10 @@ const MoveUtils = {
         const expandedIndices = new Set(indices);
         indices.forEach(idx => {
             const item = itemList[idx];
-            if (item.indent === Constants.INDENT.PARENT && item.type !== 'heading') {
-                for (let i = idx + 1; i < itemList.length; i++) {
-                    if (itemList[i].indent === Constants.INDENT.CHILD) {
-                        expandedIndices.add(i);
-                    } else {
-                        break;
-                    }
+            if (item.type !== 'heading') {
+                const childCount = ItemUtils.getChildCount(itemList, idx);
+                for (let i = idx + 1; i <= idx + childCount; i++) {
+                    expandedIndices.add(i);
                 }
             }
         });
@@ -556,51 +1034,34 @@ const MoveUtils = {
      * @returns {number} Number of items in the block
      */
     getBlockCount(itemList, startIndex) {
-        const item = itemList[startIndex];
-        let count = 1;
-
-        if (item.type === 'heading') {
-            for (let i = startIndex + 1; i < itemList.length; i++) {
-                if (itemList[i].type === 'heading') break;
-                count++;
-            }
-        } else if (item.indent === Constants.INDENT.PARENT) {
-            for (let i = startIndex + 1; i < itemList.length; i++) {
-                if (itemList[i].indent <= Constants.INDENT.PARENT || itemList[i].type === 'heading') break;
-                count++;
-            }
-        }
-        return count;
+        return ItemUtils.getItemWithChildren(itemList, startIndex).count;
     },
 
     /**
-     * Find the start index of the block above the given index
+     * Find the start index of the sibling block above the given index
+     * Top-level tasks treat headings as siblings so they can cross sections;
+     * nested tasks stay under their parent.
      * @param {Array} itemList - Items array
      * @param {number} currentIndex - Current index
      * @param {Object} item - Current item
      * @returns {number} Start index of block above, or -1 if not found
      */
     findBlockAbove(itemList, currentIndex, item) {
-        if (currentIndex === 0) return -1;
-
-        const targetIndex = currentIndex - 1;
-        const targetItem = itemList[targetIndex];
-
-        if (item.indent === Constants.INDENT.CHILD) {
-            // Child can only swap with another child
-            return targetItem.indent === Constants.INDENT.CHILD ? targetIndex : -1;
-        }
-
-        // For parent or heading, find the start of the block above
-        if (targetItem.indent === Constants.INDENT.CHILD) {
-            // Scan up to find the parent
-            for (let i = targetIndex; i >= 0; i--) {
-                if (itemList[i].indent === Constants.INDENT.PARENT || itemList[i].type === 'heading') {
-                    return i;
-                }
+        for (let i = currentIndex - 1; i >= 0; i--) {
+            const candidate = itemList[i];
+            // Items never cross into another file in the All Task Files view
+            if (ItemUtils.isLocked(candidate)) return -1;
+            if (item.type === 'heading') {
+                if (candidate.type === 'heading') return i;
+                continue;
             }
+            if (candidate.type === 'heading') {
+                return item.indent === Constants.INDENT.PARENT ? i : -1;
+            }
+            if (candidate.indent === item.indent) return i;
+            if (candidate.indent < item.indent) return -1;
         }
-        return targetIndex;
+        return -1;
     },
 
     /**
@@ -614,36 +1075,21 @@ const MoveUtils = {
         if (nextIndex >= itemList.length) return 0;
 
         const nextItem = itemList[nextIndex];
+        if (ItemUtils.isLocked(nextItem)) return 0;
 
-        if (currentItem.indent === Constants.INDENT.CHILD) {
-            return nextItem.indent === Constants.INDENT.CHILD ? 1 : 0;
-        }
-
-        // For parent items
-        if (currentItem.indent === Constants.INDENT.PARENT && currentItem.type !== 'heading') {
-            let count = 0;
-            let i = nextIndex;
-            while (i < itemList.length) {
-                if (i > nextIndex && (itemList[i].indent === Constants.INDENT.PARENT || itemList[i].type === 'heading')) break;
-                count++;
-                i++;
-            }
-            return count;
+        // For headings, swap with the whole next section
+        if (currentItem.type === 'heading') {
+            return nextItem.type === 'heading' ? this.getBlockCount(itemList, nextIndex) : 1;
         }
 
-        // For headings
-        if (currentItem.type === 'heading') {
-            if (nextItem.type === 'heading') {
-                let count = 1;
-                for (let i = nextIndex + 1; i < itemList.length; i++) {
-                    if (itemList[i].type === 'heading') break;
-                    count++;
-                }
-                return count;
-            }
+        // Top-level tasks hop over the next heading into the next section
+        if (nextItem.type === 'heading') {
+            return currentItem.indent === Constants.INDENT.PARENT ? 1 : 0;
         }
 
-        return 1;
+        // Tasks swap with the next sibling and its subtree
+        if (nextItem.indent !== currentItem.indent) return 0;
+        return this.getBlockCount(itemList, nextIndex);
     },
 
     /**
@@ -744,8 +1190,9 @@ const KeyboardHandler = {
         if (isArchiveHeaderSelected) {
             isArchiveHeaderSelected = false;
             isArchiveActive = false;
-            if (items.length > 0) {
-                activeIndex = items.length - 1;
+            const lastVisible = TagUtils.findVisible(items.length, -1);
+            if (lastVisible >= 0) {
+                activeIndex = lastVisible;
                 selectedIndices.clear();
                 selectedIndices.add(activeIndex);
                 anchorIndex = activeIndex;
@@ -756,12 +1203,13 @@ const KeyboardHandler = {
             return;
         }
 
-        // Navigation in main items
-        if (activeIndex > 0) {
-            if (event.shiftKey && items[activeIndex - 1].type === 'heading') {
+        // Navigation in main items (skipping items hidden by the tag filter)
+        const prevIndex = TagUtils.findVisible(activeIndex, -1);
+        if (activeIndex > 0 && prevIndex >= 0) {
+            if (event.shiftKey && items[prevIndex].type === 'heading') {
                 return;
             }
-            selectItem(activeIndex - 1, false, event.shiftKey, true);
+            selectItem(prevIndex, false, event.shiftKey, true);
         }
     },
 
@@ -826,13 +1274,14 @@ const KeyboardHandler = {
             return;
         }
 
-        // Navigation in main items
-        if (activeIndex < items.length - 1) {
-            if (event.shiftKey && items[activeIndex + 1].type === 'heading') {
+        // Navigation in main items (skipping items hidden by the tag filter)
+        const nextIndex = TagUtils.findVisible(activeIndex, 1);
+        if (nextIndex >= 0) {
+            if (event.shiftKey && items[nextIndex].type === 'heading') {
                 return;
             }
-            selectItem(activeIndex + 1, false, event.shiftKey, true);
-        } else if (activeIndex === items.length - 1 && archivedItems.length > 0) {
+            selectItem(nextIndex, false, event.shiftKey, true);
+        } else if (activeIndex >= 0 && archivedItems.length > 0) {
             // Move from last main item to archive header
             selectedIndices.clear();
             activeIndex = -1;
@@ -970,6 +1419,11 @@ const KeyboardHandler = {
 
         if (selectedIndices.size === 0) return;
 
+        if (event.shiftKey) {
+            this.cycleStatus();
+            return;
+        }
+
         saveState();
 
         // Check if any selected todo is unchecked
@@ -987,12 +1441,33 @@ const KeyboardHandler = {
             const item = items[index];
             if (item && item.type === 'todo') {
                 item.isChecked = hasUnchecked;
+                item.status = null;
                 changed = true;
             }
         });
         if (changed) render();
     },
 
+    /**
+     * Cycle selected todos through in progress / cancelled / deferred (Shift+Space)
+     * All selected todos take the state that follows the first one's
+     */
+    cycleStatus() {
+        const todoIndices = Array.from(selectedIndices)
+            .sort((a, b) => a - b)
+            .filter(index => items[index] && items[index].type === 'todo');
+        if (todoIndices.length === 0) return;
+
+        saveState();
+
+        const nextStatus = ItemUtils.getNextStatus(items[todoIndices[0]]);
+        todoIndices.forEach(index => {
+            items[index].isChecked = false;
+            items[index].status = nextStatus;
+        });
+        render();
+    },
+
     /**
      * Handle Delete/Backspace key
      */
@@ -1127,7 +1602,7 @@ const KeyboardHandler = {
         const isCmd = event.metaKey || event.ctrlKey; // For Cmd+C, V, D, Z (always use native modifiers)
         if (event.key === 'a' && this.handleA(event, isCmd)) return;
 
-        if (event.target.tagName === 'TEXTAREA') return;
+        if (['TEXTAREA', 'INPUT', 'SELECT'].includes(event.target.tagName)) return;
         if (items.length === 0 && (event.key === 'ArrowUp' || event.key === 'ArrowDown')) return;
 
         switch (event.key) {
@@ -1175,29 +1650,213 @@ const KeyboardHandler = {
     }
 };
 
+// ============================================================
+// HistoryUtils - Undo/Redo steps keyed by item id
+// ============================================================
+const HistoryUtils = {
+    /** Stands for the Archive heading when main and archived ids are ordered as one list */
+    ARCHIVE_MARKER: '\u0000archive',
+
+    /**
+     * Describe the change between two states, item by item.
+     * A step only records the items it changed, so it can still be undone after the
+     * file was reloaded with other changes, or in a later session.
+     * @param {{items: Array, archivedItems: Array}} before - State before the change
+     * @param {{items: Array, archivedItems: Array}} after - State after the change
+     * @returns {Object|null} Step with the changed items ({id: [before, after]}, null for absent)
+     *     and the item order on both sides, or null if nothing changed
+     */
+    diff(before, after) {
+        const beforeById = this.indexById(before);
+        const afterById = this.indexById(after);
+        const changes = {};
+        let changed = false;
+        new Set([...beforeById.keys(), ...afterById.keys()]).forEach(id => {
+            const beforeItem = beforeById.get(id) || null;
+            const afterItem = afterById.get(id) || null;
+            if (this.same(beforeItem, afterItem)) return;
+            changes[id] = [this.copy(beforeItem), this.copy(afterItem)];
+            changed = true;
+        });
+
+        const step = { changes, before: this.getOrder(before), after: this.getOrder(after) };
+        if (!changed && this.same(step.before, step.after)) return null;
+        return step;
+    },
+
+    /**
+     * Apply a step to the current state in either direction.
+     * Only the fields the step changed are set, and items added, moved, edited or deleted
+     * since then (in the sidebar or in the file) stay as they are.
+     * @param {{items: Array, archivedItems: Array}} state - Current state
+     * @param {Object} step - Step from diff()
+     * @param {boolean} backwards - True to undo the step, false to redo it
+     * @returns {{items: Array, archivedItems: Array}} New state
+     */
+    apply(state, step, backwards) {
+        const [from, to] = backwards ? [1, 0] : [0, 1];
+        const result = new Map();
+        this.indexById(state).forEach((item, id) => result.set(id, this.copy(item)));
+
+        Object.keys(step.changes).forEach(id => {
+            const source = step.changes[id][from];
+            const target = step.changes[id][to];
+            const current = result.get(id);
+            if (!target) {
+                result.delete(id);
+            } else if (!source) {
+                result.set(id, this.copy(target));
+            } else if (current) {
+                new Set([...Object.keys(source), ...Object.keys(target)]).forEach(key => {
+                    if (this.same(source[key], target[key])) return;
+                    if (key in target) {
+                        current[key] = this.copy(target[key]);
+                    } else {
+                        delete current[key];
+                    }
+                });
+            }
+        });
+
+        const order = this.mergeOrder(
+            this.toSequence(this.getOrder(state)),
+            this.toSequence(backwards ? step.before : step.after),
+            this.toSequence(backwards ? step.after : step.before),
+            result
+        );
+        const archiveStart = order.indexOf(this.ARCHIVE_MARKER);
+        return {
+            items: order.slice(0, archiveStart).map(id => result.get(id)),
+            archivedItems: order.slice(archiveStart + 1).map(id => result.get(id))
+        };
+    },
+
+    /**
+     * Order the items after applying a step.
+     * If the step moved items, its target order wins; otherwise the current order is kept.
+     * Items only the other order has are put after the item they follow there.
+     * @param {string[]} current - Current ids (with the archive marker)
+     * @param {string[]} target - Ids the step leads to
+     * @param {string[]} source - Ids the step starts from
+     * @param {Map<string, Object>} kept - Items that exist after the step
+     * @returns {string[]} Ids in order, including the archive marker
+     */
+    mergeOrder(current, target, source, kept) {
+        const isKept = id => id === this.ARCHIVE_MARKER || kept.has(id);
+        const shared = ids => ids.filter(id => id === this.ARCHIVE_MARKER || (target.includes(id) && source.includes(id)));
+        const moved = !this.same(shared(target), shared(source));
+        const [primary, secondary] = moved ? [target, current] : [current, target];
+
+        const order = primary.filter(isKept);
+        const placed = new Set(order);
+        secondary.forEach((id, i) => {
+            if (placed.has(id) || !isKept(id)) return;
+            let at = 0;
+            for (let j = i - 1; j >= 0; j--) {
+                const anchor = order.indexOf(secondary[j]);
+                if (anchor !== -1) {
+                    at = anchor + 1;
+                    break;
+                }
+            }
+            order.splice(at, 0, id);
+            placed.add(id);
+        });
+        return order;
+    },
+
+    getOrder(state) {
+        return {
+            items: state.items.map(item => item.id),
+            archivedItems: (state.archivedItems || []).map(item => item.id)
+        };
+    },
+
+    toSequence(order) {
+        return [...order.items, this.ARCHIVE_MARKER, ...order.archivedItems];
+    },
+
+    indexById(state) {
+        return new Map([...state.items, ...(state.archivedItems || [])].map(item => [item.id, item]));
+    },
+
+    same(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    },
+
+    copy(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+};
+
 // ============================================================
 // HistoryManager - Undo/Redo history management
 // ============================================================
 const HistoryManager = {
     /**
-     * Save current state to history
+     * Start a step: remember the current state, which the next change is compared with
+     */
+    save() {
+        if (isUndoingRedoing) return;
+        this.commit();
+        pendingState = {
+            items: JSON.parse(JSON.stringify(items)),
+            archivedItems: JSON.parse(JSON.stringify(archivedItems))
+        };
+        future = [];
+    },
+
+    /**
+     * Finish the step started by save(), recording what changed since
+     * @returns {boolean} True if a step was in progress
+     */
+    commit() {
+        if (!pendingState) return false;
+        const step = HistoryUtils.diff(pendingState, { items, archivedItems });
+        pendingState = null;
+        if (step) {
+            history.push(step);
+            if (history.length > Constants.MAX_HISTORY_SIZE) history.shift();
+        }
+        return true;
+    },
+
+    /**
+     * Forget all undo/redo states (e.g. when another file is shown)
      */
-    save() {
-        if (isUndoingRedoing) return;
-        const state = {
-            items: JSON.parse(JSON.stringify(items)),
-            archivedItems: JSON.parse(JSON.stringify(archivedItems))
-        };
-        history.push(state);
-        if (history.length > Constants.MAX_HISTORY_SIZE) history.shift();
+    clear() {
+        history = [];
         future = [];
+        pendingState = null;
+    },
+
+    /**
+     * Replace the undo/redo states with ones stored by the extension
+     * @param {{history: Array, future: Array}|undefined} saved - Stored history of the shown file
+     */
+    load(saved) {
+        this.clear();
+        if (!saved) return;
+        history = Array.isArray(saved.history) ? saved.history : [];
+        future = Array.isArray(saved.future) ? saved.future : [];
+    },
+
+    /**
+     * Undo/redo states to store with the file
+     * @returns {{history: Array, future: Array}}
+     */
+    serialize() {
+        this.commit();
+        return { history, future };
     },
 
     /**
      * Pop last state from history (for canceling new item)
      */
     popLast() {
-        if (history.length > 0) {
+        if (pendingState) {
+            pendingState = null;
+        } else if (history.length > 0) {
             history.pop();
         }
     },
@@ -1207,18 +1866,15 @@ const HistoryManager = {
      * @returns {boolean} True if undo was performed
      */
     undo() {
-        if (isUndoingRedoing || history.length === 0) return false;
+        if (isUndoingRedoing) return false;
+        this.commit();
+        if (history.length === 0) return false;
 
         isUndoingRedoing = true;
         try {
-            future.push({
-                items: JSON.parse(JSON.stringify(items)),
-                archivedItems: JSON.parse(JSON.stringify(archivedItems))
-            });
-            const previousState = history.pop();
-            items = previousState.items;
-            archivedItems = previousState.archivedItems || [];
-            this._validateSelection();
+            const step = history.pop();
+            future.push(step);
+            this._applyStep(step, true);
             return true;
         } finally {
             isUndoingRedoing = false;
@@ -1230,24 +1886,31 @@ const HistoryManager = {
      * @returns {boolean} True if redo was performed
      */
     redo() {
-        if (isUndoingRedoing || future.length === 0) return false;
+        if (isUndoingRedoing) return false;
+        this.commit();
+        if (future.length === 0) return false;
 
         isUndoingRedoing = true;
         try {
-            history.push({
-                items: JSON.parse(JSON.stringify(items)),
-                archivedItems: JSON.parse(JSON.stringify(archivedItems))
-            });
-            const nextState = future.pop();
-            items = nextState.items;
-            archivedItems = nextState.archivedItems || [];
-            this._validateSelection();
+            const step = future.pop();
+            history.push(step);
+            this._applyStep(step, false);
             return true;
         } finally {
             isUndoingRedoing = false;
         }
     },
 
+    /**
+     * @private
+     */
+    _applyStep(step, backwards) {
+        const state = HistoryUtils.apply({ items, archivedItems }, step, backwards);
+        items = state.items;
+        archivedItems = state.archivedItems;
+        this._validateSelection();
+    },
+
     /**
      * Validate and fix selection after history change
      * @private
@@ -1290,7 +1953,7 @@ const HistoryManager = {
      * @returns {boolean}
      */
     canUndo() {
-        return history.length > 0;
+        return history.length > 0 || pendingState !== null;
     },
 
     /**
@@ -1354,11 +2017,19 @@ const EditingManager = {
      * @private
      */
     _saveTitle(itemIndex, newTitle) {
-        if (items[itemIndex].title !== newTitle) {
+        const item = items[itemIndex];
+        // A typed due date token moves into the due field
+        const parsed = item.type === 'todo' ? DueDateUtils.extract(newTitle) : { title: newTitle, due: null };
+        if (item.title !== parsed.title || (parsed.due && parsed.due !== item.due)) {
             if (!isNewItem) {
                 HistoryManager.save();
             }
-            items[itemIndex].title = newTitle;
+            item.title = parsed.title;
+            item.tags = TagUtils.extract(parsed.title);
+            if (parsed.due) {
+                item.due = parsed.due;
+                item.dueStyle = parsed.dueStyle;
+            }
         }
         this._resetEditingState();
         render(true);
@@ -1391,31 +2062,49 @@ const IndentManager = {
         if (item.type === 'heading') return false;
 
         // Check bounds
-        if (newIndent < Constants.INDENT.PARENT || newIndent > Constants.INDENT.MAX) return false;
+        if (newIndent < Constants.INDENT.PARENT || newIndent > maxIndent) return false;
 
         // Restriction for indenting (not dedenting)
         if (delta > 0) {
             if (index === 0) return false;
             if (items[index - 1].type === 'heading') return false;
+            // At most one level below the task above
+            if (newIndent > items[index - 1].indent + 1) return false;
         }
 
         return true;
     },
 
     /**
-     * Change indent for all selected items
+     * Shift a task and its whole subtree by one level
+     * @param {number} index - Index of the task
      * @param {number} delta - Indent change direction (+1 or -1)
+     * @returns {boolean} True if the indent was changed
      */
-    changeIndent(delta) {
-        const indices = Array.from(selectedIndices).sort((a, b) => a - b);
+    shiftSubtree(index, delta) {
+        const item = items[index];
+        const newIndent = item.indent + delta;
+        if (!this.canChangeIndent(item, index, delta, newIndent)) return false;
 
-        indices.forEach(index => {
-            const item = items[index];
-            const newIndent = item.indent + delta;
+        const { items: subtree } = ItemUtils.getItemWithChildren(items, index);
+        const deepestIndent = Math.max(...subtree.map(i => i.indent));
+        if (deepestIndent + delta > maxIndent) return false;
 
-            if (this.canChangeIndent(item, index, delta, newIndent)) {
-                item.indent = newIndent;
-            }
+        subtree.forEach(i => {
+            i.indent += delta;
+        });
+        return true;
+    },
+
+    /**
+     * Change indent for all selected items (their subtrees follow)
+     * @param {number} delta - Indent change direction (+1 or -1)
+     */
+    changeIndent(delta) {
+        const itemsToShift = ItemUtils.collectItemsToProcess(items, selectedIndices, { excludeHeadings: true });
+
+        itemsToShift.forEach(item => {
+            this.shiftSubtree(items.indexOf(item), delta);
         });
 
         render();
@@ -1429,7 +2118,7 @@ const IndentManager = {
 // ============================================================
 const DeleteManager = {
     /**
-     * Collect indices to delete including children of parents
+     * Collect indices to delete including subtrees of selected tasks
      * @param {Set} indices - Selected indices
      * @returns {Set} All indices to delete
      */
@@ -1439,16 +2128,15 @@ const DeleteManager = {
 
         sortedIndices.forEach(index => {
             if (indicesToDelete.has(index)) return;
+            // File headings of the All Task Files view can't be deleted
+            if (ItemUtils.isLocked(items[index])) return;
 
             indicesToDelete.add(index);
-            const item = items[index];
 
-            // If parent, also mark children for deletion
-            if (item.indent === Constants.INDENT.PARENT && item.type !== 'heading') {
-                for (let i = index + 1; i < items.length; i++) {
-                    if (items[i].indent === Constants.INDENT.PARENT || items[i].type === 'heading') break;
-                    indicesToDelete.add(i);
-                }
+            // Also mark the whole subtree for deletion
+            const childCount = ItemUtils.getChildCount(items, index);
+            for (let i = index + 1; i <= index + childCount; i++) {
+                indicesToDelete.add(i);
             }
         });
 
@@ -1575,7 +2263,7 @@ const DeleteManager = {
 // ============================================================
 const ArchiveDeleteManager = {
     /**
-     * Collect indices to delete including children of parents
+     * Collect indices to delete including subtrees of selected tasks
      * @param {Set} indices - Selected indices in archived items
      * @returns {Set} All indices to delete
      */
@@ -1587,14 +2275,11 @@ const ArchiveDeleteManager = {
             if (indicesToDelete.has(index)) return;
 
             indicesToDelete.add(index);
-            const item = archivedItems[index];
 
-            // If parent, also mark children for deletion
-            if (item.indent === Constants.INDENT.PARENT) {
-                for (let i = index + 1; i < archivedItems.length; i++) {
-                    if (archivedItems[i].indent === Constants.INDENT.PARENT) break;
-                    indicesToDelete.add(i);
-                }
+            // Also mark the whole subtree for deletion
+            const childCount = ItemUtils.getChildCount(archivedItems, index);
+            for (let i = index + 1; i <= index + childCount; i++) {
+                indicesToDelete.add(i);
             }
         });
 
@@ -1719,18 +2404,67 @@ function redo() {
     }
 }
 
+/**
+ * Sort the tasks under the current heading by priority (archyTask.sortByPriority)
+ * Each task moves together with its subtasks
+ */
+function sortByPriority() {
+    if (items.length === 0) return;
+
+    // Section around the cursor (or the first section)
+    const reference = activeIndex >= 0 ? activeIndex : 0;
+    let start = 0;
+    for (let i = reference; i >= 0; i--) {
+        if (items[i].type === 'heading') {
+            start = i + 1;
+            break;
+        }
+    }
+    let end = items.length;
+    for (let i = start; i < items.length; i++) {
+        if (items[i].type === 'heading') {
+            end = i;
+            break;
+        }
+    }
+    if (end - start < 2) return;
+
+    const sorted = PriorityUtils.sortSection(items, start, end);
+    const unchanged = sorted.every((item, i) => item.id === items[start + i].id);
+    if (unchanged) {
+        showNotification('Already sorted by priority', 'codicon-check');
+        return;
+    }
+
+    saveState();
+    const capturedState = SelectionManager.captureState(items);
+    items.splice(start, end - start, ...sorted);
+    SelectionManager.restoreState(items, capturedState);
+
+    render();
+    renderInspector();
+    showNotification('Sorted by priority', 'codicon-list-ordered');
+}
+
 window.addEventListener('message', event => {
     const message = event.data;
     switch (message.type) {
         case 'update': {
             const newItems = message.items || [];
             const newArchivedItems = message.archivedItems || [];
+            // Edits made before the reload become an undo step of their own
+            const stepInProgress = HistoryManager.commit();
             
             const itemsChanged = JSON.stringify(newItems) !== JSON.stringify(items);
             const archivedChanged = JSON.stringify(newArchivedItems) !== JSON.stringify(archivedItems);
             
+            // Item ids survive reloads, so selection can follow the items
+            const capturedState = SelectionManager.captureState(items);
+            
             items = newItems;
             archivedItems = newArchivedItems;
+            // An edit still in progress continues from the reloaded state
+            if (stepInProgress) HistoryManager.save();
             
             saveWebviewState();
             
@@ -1738,8 +2472,11 @@ window.addEventListener('message', event => {
                 break;
             }
             
-            // Validate activeIndex against new items
-            if (activeIndex >= items.length) {
+            if (capturedState.activeItemId && items.some(i => i.id === capturedState.activeItemId)) {
+                SelectionManager.restoreState(items, capturedState);
+                anchorIndex = activeIndex;
+            } else if (activeIndex >= items.length) {
+                // Validate activeIndex against new items
                 activeIndex = -1;
                 selectedIndices.clear();
                 anchorIndex = -1;
@@ -1758,6 +2495,7 @@ window.addEventListener('message', event => {
             taskMoveModifier = message.taskMoveModifier || 'ctrl';
             newItemTrigger = message.newItemTrigger || 'enter';
             isMac = message.isMac || false;
+            maxIndent = message.maxIndent ?? Constants.INDENT.MAX;
             break;
         case 'showDonationBanner':
             showDonationBanner();
@@ -1770,16 +2508,25 @@ window.addEventListener('message', event => {
             archivedAnchorIndex = -1;
             render(false);
             // Send update to Extension to save the changes
-            vscode.postMessage({
-                type: 'updateItems',
-                items: items,
-                archivedItems: archivedItems
-            });
+            sendItems();
             break;
         case 'requestSync':
             // Reload the webview to fetch latest items from file
             location.reload();
             break;
+        case 'sortByPriority':
+            sortByPriority();
+            break;
+        case 'files':
+            renderFilePicker(message.files || [], message.current, message.history);
+            break;
+        case 'selectItemById':
+            selectItemFromEditor(message.id);
+            break;
+        case 'saveState':
+            // Shown while edits are waiting to be written to the file
+            document.getElementById('save-indicator').style.display = message.pending ? '' : 'none';
+            break;
     }
 });
 
@@ -1793,9 +2540,128 @@ document.getElementById('btn-add-heading').addEventListener('click', () => {
 });
 
 document.getElementById('btn-open-file').addEventListener('click', () => {
-    vscode.postMessage({ type: 'openFile' });
+    // In the All Task Files view, open the file the active task belongs to
+    const activeItem = !isArchiveActive && activeIndex >= 0 ? items[activeIndex] : null;
+    vscode.postMessage({ type: 'openFile', source: activeItem ? activeItem.source : undefined });
+});
+
+// File Picker
+const filePicker = document.getElementById('file-picker');
+
+/**
+ * Show the task files the sidebar can switch between
+ * @param {Array<{key: string, label: string}>} files - Available task files
+ * @param {string} current - Key of the file being shown
+ * @param {{history: Array, future: Array}|undefined} savedHistory - Stored undo history of that file
+ */
+function renderFilePicker(files, current, savedHistory) {
+    if (current !== currentFileKey) {
+        if (currentFileKey !== null) {
+            SelectionManager.clear();
+            activeTagFilters.clear();
+        }
+        // Undo must not carry items from one file into another; each file has its own history
+        HistoryManager.load(savedHistory);
+        currentFileKey = current;
+    }
+
+    filePicker.innerHTML = '';
+    files.forEach(file => {
+        const option = document.createElement('option');
+        option.value = file.key;
+        option.textContent = file.label;
+        filePicker.appendChild(option);
+    });
+    filePicker.value = current || '';
+    filePicker.style.display = files.length > 1 ? '' : 'none';
+}
+
+filePicker.addEventListener('change', () => {
+    if (editingId) stopEditing(true);
+    vscode.postMessage({ type: 'selectFile', key: filePicker.value });
+    filePicker.blur();
 });
 
+// Tag Filter Bar
+/**
+ * Render the tag pills in the header and recompute which items are hidden
+ */
+function renderTagFilterBar() {
+    const bar = document.getElementById('tag-filter-bar');
+    const tags = TagUtils.collectAll(items);
+
+    // Drop filters for tags that no longer exist, so the list can't get stuck empty
+    const existing = new Set(tags.map(tag => tag.toLowerCase()));
+    activeTagFilters.forEach(tag => {
+        if (!existing.has(tag)) activeTagFilters.delete(tag);
+    });
+    hiddenIndices = TagUtils.getHiddenIndices(items, activeTagFilters);
+    // Never hide the item under the cursor or being edited (e.g. a new, untagged task)
+    hiddenIndices.delete(activeIndex);
+    if (editingId) {
+        hiddenIndices.delete(items.findIndex(i => i.id === editingId));
+    }
+
+    if (!bar) return;
+    bar.innerHTML = '';
+    bar.style.display = tags.length > 0 ? '' : 'none';
+
+    tags.forEach(tag => {
+        const key = tag.toLowerCase();
+        const pill = document.createElement('button');
+        pill.className = `item-tag tag-filter-pill tag-color-${TagUtils.colorIndex(tag)}`;
+        pill.classList.toggle('active', activeTagFilters.has(key));
+        pill.textContent = `#${tag}`;
+        pill.onclick = () => toggleTagFilter(key);
+        bar.appendChild(pill);
+    });
+
+    if (activeTagFilters.size > 0) {
+        const clear = document.createElement('button');
+        clear.className = 'tag-filter-clear';
+        clear.title = 'Clear Tag Filter';
+        clear.innerHTML = '<i class="codicon codicon-close"></i>';
+        clear.onclick = () => {
+            activeTagFilters.clear();
+            applyTagFilter();
+        };
+        bar.appendChild(clear);
+    }
+}
+
+/**
+ * Add or remove a tag from the filter
+ * @param {string} key - Lower-cased tag
+ */
+function toggleTagFilter(key) {
+    if (activeTagFilters.has(key)) {
+        activeTagFilters.delete(key);
+    } else {
+        activeTagFilters.add(key);
+    }
+    applyTagFilter();
+}
+
+/**
+ * Re-render after the filter changed, keeping the cursor on a visible item
+ */
+function applyTagFilter() {
+    hiddenIndices = TagUtils.getHiddenIndices(items, activeTagFilters);
+    if (activeIndex >= 0 && hiddenIndices.has(activeIndex)) {
+        const next = TagUtils.findVisible(-1, 1);
+        if (next >= 0) {
+            SelectionManager.setSingle(next);
+        } else {
+            SelectionManager.clear();
+        }
+    }
+    selectedIndices.forEach(index => {
+        if (hiddenIndices.has(index)) selectedIndices.delete(index);
+    });
+    render(false);
+    renderInspector();
+}
+
 // Donation Banner
 function showDonationBanner() {
     const banner = document.getElementById('donation-banner');
@@ -1844,6 +2710,38 @@ function selectItem(index, toggle = false, extend = false, isKeyboard = false) {
 
     updateSelectionUI();
     renderInspector();
+    notifyActiveItem();
+}
+
+/**
+ * Tell the extension which item is active, so an open editor of the task file can show its line
+ */
+function notifyActiveItem() {
+    const id = activeIndex >= 0 && items[activeIndex] ? items[activeIndex].id : null;
+    if (id === null || id === lastNotifiedActiveId) return;
+    lastNotifiedActiveId = id;
+    vscode.postMessage({ type: 'activeItemChanged', id });
+}
+
+/**
+ * Select the item under the cursor of an editor showing the task file
+ * @param {string} id - Item id
+ */
+function selectItemFromEditor(id) {
+    const index = items.findIndex(item => item.id === id);
+    // Editing, hidden and already active items are left alone
+    if (index < 0 || editingId !== null || hiddenIndices.has(index) || index === activeIndex) return;
+    // The editor already shows this item, so it is not revealed again
+    lastNotifiedActiveId = id;
+    if (isArchiveActive || isArchiveHeaderSelected) {
+        archivedSelectedIndices.clear();
+        archivedActiveIndex = -1;
+        archivedAnchorIndex = -1;
+        isArchiveActive = false;
+        isArchiveHeaderSelected = false;
+        render(false);
+    }
+    selectItem(index);
 }
 
 /**
@@ -1860,7 +2758,7 @@ function handleExtendSelection(index, isKeyboard) {
         const start = Math.min(anchorIndex, index);
         const end = Math.max(anchorIndex, index);
         for (let i = start; i <= end; i++) {
-            if (items[i].type !== 'heading') {
+            if (items[i].type !== 'heading' && !hiddenIndices.has(i)) {
                 selectedIndices.add(i);
             }
         }
@@ -1883,7 +2781,7 @@ function handleExtendSelection(index, isKeyboard) {
         const selStart = Math.min(anchorIndex, actualEnd);
         const selEnd = Math.max(anchorIndex, actualEnd);
         for (let i = selStart; i <= selEnd; i++) {
-            if (items[i].type !== 'heading') {
+            if (items[i].type !== 'heading' && !hiddenIndices.has(i)) {
                 selectedIndices.add(i);
             }
         }
@@ -1970,10 +2868,10 @@ function addItem(type, insertIndex = null, indent = null) {
     if (insertIndex === null) {
         if (activeIndex >= 0) {
             if (type === 'heading') {
-                // If creating a heading and active item is a child (indent 1),
-                // insert before the parent (indent 0)
-                if (items[activeIndex].indent === 1) {
-                    // Find the parent (indent 0) above this child
+                // If creating a heading and active item is nested,
+                // insert before its top-level ancestor (indent 0)
+                if (items[activeIndex].indent > 0) {
+                    // Find the top-level ancestor above this item
                     for (let i = activeIndex - 1; i >= 0; i--) {
                         if (items[i].indent === 0) {
                             insertIndex = i;
@@ -2012,15 +2910,11 @@ function addItem(type, insertIndex = null, indent = null) {
             newItem.indent = 0;
         } else if (activeIndex >= 0 && items[activeIndex]) {
             const selectedItem = items[activeIndex];
-            // Smart indent logic: if parent (indent 0) has children, new item is indent 1
-            if (selectedItem.indent === 0) {
-                if (activeIndex + 1 < items.length && items[activeIndex + 1].indent === 1) {
-                    newItem.indent = 1;
-                } else {
-                    newItem.indent = 0;
-                }
+            // Smart indent logic: if the selected task has children, new item becomes its first child
+            if (ItemUtils.getChildCount(items, activeIndex) > 0) {
+                newItem.indent = selectedItem.indent + 1;
             } else {
-                // Child or other indent level, keep same indent
+                // No children, keep same indent
                 newItem.indent = selectedItem.indent;
             }
         } else {
@@ -2033,8 +2927,8 @@ function addItem(type, insertIndex = null, indent = null) {
     // Ensure indent is within bounds and heading is always 0
     if (type === 'heading') {
         newItem.indent = 0;
-    } else if (newItem.indent > 1) {
-        newItem.indent = 1;
+    } else if (newItem.indent > maxIndent) {
+        newItem.indent = maxIndent;
     }
 
     items.splice(insertIndex, 0, newItem);
@@ -2058,6 +2952,7 @@ function changeIndent(delta) {
 function moveItem(direction) {
     if (activeIndex < 0) return;
     if (ItemUtils.isArchiveHeading(items[activeIndex])) return;
+    if (ItemUtils.isLocked(items[activeIndex])) return;
 
     saveState();
 
@@ -2079,11 +2974,10 @@ function moveMultipleItems(direction) {
     const indices = Array.from(selectedIndices).sort((a, b) => a - b);
     const finalIndices = MoveUtils.expandSelectionWithChildren(indices, items);
 
-    // Prevent movement if child is topmost but parent is also selected
-    if (items[finalIndices[0]].indent === Constants.INDENT.CHILD) {
-        if (finalIndices.some(idx => items[idx].indent === Constants.INDENT.PARENT)) {
-            return;
-        }
+    // Prevent movement if the topmost item is nested deeper than another selected item
+    const baseIndent = items[finalIndices[0]].indent;
+    if (finalIndices.some(idx => items[idx].indent < baseIndent)) {
+        return;
     }
 
     if (!MoveUtils.isContiguous(finalIndices)) return;
@@ -2103,24 +2997,8 @@ function moveMultipleItems(direction) {
 function moveMultipleUp(start, count, movingItems, movingIds) {
     if (start === 0) return;
 
-    const targetIndex = start - 1;
-    const targetItem = items[targetIndex];
-    let swapStart = targetIndex;
-
-    if (items[start].indent === Constants.INDENT.PARENT) {
-        // Find start of block above
-        if (targetItem.indent === Constants.INDENT.CHILD) {
-            for (let i = targetIndex; i >= 0; i--) {
-                if (items[i].indent === Constants.INDENT.PARENT || items[i].type === 'heading') {
-                    swapStart = i;
-                    break;
-                }
-            }
-        }
-    } else {
-        // Moving children only
-        if (targetItem.indent !== Constants.INDENT.CHILD) return;
-    }
+    const swapStart = MoveUtils.findBlockAbove(items, start, items[start]);
+    if (swapStart === -1) return;
 
     const displacedItems = items.slice(swapStart, start);
     const swapCount = start - swapStart;
@@ -2140,8 +3018,6 @@ function moveMultipleUp(start, count, movingItems, movingIds) {
 function moveMultipleDown(start, count, movingItems, movingIds) {
     if (start + count >= items.length) return;
 
-    const nextItem = items[start + count];
-
     // Check if next item or any item ahead is Archive heading
     for (let i = start + count; i < items.length; i++) {
         if (ItemUtils.isArchiveHeading(items[i])) {
@@ -2149,19 +3025,8 @@ function moveMultipleDown(start, count, movingItems, movingIds) {
         }
     }
 
-    let swapCount = 0;
-
-    if (items[start].indent === Constants.INDENT.PARENT) {
-        let i = start + count;
-        while (i < items.length) {
-            if (i > start + count && (items[i].indent === Constants.INDENT.PARENT || items[i].type === 'heading')) break;
-            swapCount++;
-            i++;
-        }
-    } else {
-        if (nextItem.indent !== Constants.INDENT.CHILD) return;
-        swapCount = 1;
-    }
+    const swapCount = MoveUtils.getSwapCountDown(items, start + count, items[start]);
+    if (swapCount === 0) return;
 
     const displacedItems = items.slice(start + count, start + count + swapCount);
 
@@ -2203,37 +3068,8 @@ function moveSingleItem(direction) {
 function moveSingleUp(item, originalIndex, count, movingItems) {
     if (originalIndex === 0) return;
 
-    const targetIndex = originalIndex - 1;
-
-    // Child can only swap with another child
-    if (item.indent === Constants.INDENT.CHILD) {
-        if (items[targetIndex].indent !== Constants.INDENT.CHILD) return;
-
-        const displacedItems = [items[targetIndex]];
-        items.splice(originalIndex, 1);
-        items.splice(targetIndex, 0, item);
-        render();
-        selectItem(targetIndex);
-        animateDisplacedItems(displacedItems, 'up');
-        return;
-    }
-
-    // Parent or heading: find sibling block above
-    let siblingIndex = -1;
-    for (let i = originalIndex - 1; i >= 0; i--) {
-        const candidate = items[i];
-        if (item.type === 'heading') {
-            if (candidate.type === 'heading') {
-                siblingIndex = i;
-                break;
-            }
-        } else {
-            if (candidate.indent === Constants.INDENT.PARENT) {
-                siblingIndex = i;
-                break;
-            }
-        }
-    }
+    // Swap with the sibling block above (nested tasks stay under their parent)
+    const siblingIndex = MoveUtils.findBlockAbove(items, originalIndex, item);
 
     if (siblingIndex !== -1) {
         const displacedItems = items.slice(siblingIndex, originalIndex);
@@ -2256,32 +3092,9 @@ function moveSingleDown(item, originalIndex, count, movingItems) {
         return;
     }
 
-    // Child can only swap with another child
-    if (item.indent === Constants.INDENT.CHILD) {
-        if (nextItem.indent !== Constants.INDENT.CHILD) return;
-
-        const displacedItems = [nextItem];
-        items.splice(originalIndex, 1);
-        items.splice(originalIndex + 1, 0, item);
-        render();
-        selectItem(originalIndex + 1);
-        animateDisplacedItems(displacedItems, 'down');
-        return;
-    }
-
-    // Parent or heading: find next block size
-    let nextBlockCount = 1;
-    if (nextItem.type === 'heading' && item.type === 'heading') {
-        for (let i = nextIndex + 1; i < items.length; i++) {
-            if (items[i].type === 'heading') break;
-            nextBlockCount++;
-        }
-    } else if (nextItem.indent === Constants.INDENT.PARENT) {
-        for (let i = nextIndex + 1; i < items.length; i++) {
-            if (items[i].indent <= Constants.INDENT.PARENT || items[i].type === 'heading') break;
-            nextBlockCount++;
-        }
-    }
+    // Swap with the next sibling block (nested tasks stay under their parent)
+    const nextBlockCount = MoveUtils.getSwapCountDown(items, nextIndex, item);
+    if (nextBlockCount === 0) return;
 
     const displacedItems = items.slice(originalIndex + count, originalIndex + count + nextBlockCount);
     items.splice(originalIndex, count);
@@ -2372,10 +3185,10 @@ function selectAll() {
         }
     }
 
-    // Select all tasks in the section (excluding headings)
+    // Select all visible tasks in the section (excluding headings)
     selectedIndices.clear();
     for (let i = sectionStart; i <= sectionEnd; i++) {
-        if (items[i].type !== 'heading') {
+        if (items[i].type !== 'heading' && !hiddenIndices.has(i)) {
             selectedIndices.add(i);
         }
     }
@@ -2447,13 +3260,8 @@ function pasteItems() {
     // Determine insert position
     let insertIndex;
     if (activeIndex >= 0) {
-        const activeItem = items[activeIndex];
-        if (activeItem.indent === Constants.INDENT.PARENT) {
-            // Insert after the item and its children
-            insertIndex = activeIndex + 1 + ItemUtils.getChildCount(items, activeIndex);
-        } else {
-            insertIndex = activeIndex + 1;
-        }
+        // Insert after the item and its subtree
+        insertIndex = activeIndex + 1 + ItemUtils.getChildCount(items, activeIndex);
     } else {
         insertIndex = items.length;
     }
@@ -2568,6 +3376,7 @@ function moveToArchive() {
 
         // Get item with children
         const { items: movingItems, count } = ItemUtils.getItemWithChildren(items, index);
+        const source = ItemUtils.getSource(items, index);
 
         // Remove from main items
         items.splice(index, count);
@@ -2575,6 +3384,14 @@ function moveToArchive() {
         // Prepare items for archive (checked, preserve indent)
         movingItems.forEach(mi => {
             mi.isChecked = true;
+            // Cancelled tasks stay cancelled; other states are resolved as done
+            if (mi.status !== 'cancelled') {
+                mi.status = null;
+            }
+            // Archived tasks stay in their file's archive
+            if (source) {
+                mi.source = source;
+            }
             // indent is preserved (not reset to 0)
         });
 
@@ -2611,7 +3428,7 @@ function moveToArchive() {
 /**
  * Move selected items from Archive back to main list (Cmd+Shift+Left)
  * Items are added to the end of the main items list
- * Parent-child relationships are preserved: selecting parent includes children, selecting child includes parent and siblings
+ * Trees are preserved: selecting any task restores its top-level ancestor with the whole subtree
  */
 function moveFromArchive() {
     if (archivedSelectedIndices.size === 0) return;
@@ -2625,37 +3442,19 @@ function moveFromArchive() {
     sortedIndices.forEach(index => {
         if (indicesToRestore.has(index)) return;
 
-        const item = archivedItems[index];
-
-        if (item.indent === Constants.INDENT.PARENT) {
-            // Parent selected: include all children
-            indicesToRestore.add(index);
-            for (let i = index + 1; i < archivedItems.length; i++) {
-                if (archivedItems[i].indent === Constants.INDENT.PARENT) break;
-                indicesToRestore.add(i);
-            }
-        } else {
-            // Child selected: find parent and include all siblings
-            let parentIndex = -1;
-            for (let i = index - 1; i >= 0; i--) {
-                if (archivedItems[i].indent === Constants.INDENT.PARENT) {
-                    parentIndex = i;
-                    break;
-                }
-            }
+        // Restore the whole tree: find the top-level ancestor of the selected item
+        let rootIndex = index;
+        while (rootIndex > 0 && archivedItems[rootIndex].indent > Constants.INDENT.PARENT) {
+            rootIndex--;
+        }
+        if (archivedItems[rootIndex].indent > Constants.INDENT.PARENT) {
+            // Orphaned child (no parent found), restore it with its own subtree
+            rootIndex = index;
+        }
 
-            if (parentIndex !== -1) {
-                // Include parent
-                indicesToRestore.add(parentIndex);
-                // Include all children of this parent
-                for (let i = parentIndex + 1; i < archivedItems.length; i++) {
-                    if (archivedItems[i].indent === Constants.INDENT.PARENT) break;
-                    indicesToRestore.add(i);
-                }
-            } else {
-                // Orphaned child (no parent found), just restore it
-                indicesToRestore.add(index);
-            }
+        const childCount = ItemUtils.getChildCount(archivedItems, rootIndex);
+        for (let i = rootIndex; i <= rootIndex + childCount; i++) {
+            indicesToRestore.add(i);
         }
     });
 
@@ -2666,15 +3465,19 @@ function moveFromArchive() {
     indicesToRemove.forEach(index => {
         if (index >= 0 && index < archivedItems.length) {
             const [item] = archivedItems.splice(index, 1);
-            // Reset item state (unchecked, preserve indent)
+            // Reset item state (open again: unchecked, no cancelled/deferred state; preserve indent)
             item.isChecked = false;
+            item.status = null;
             // indent is preserved (not reset to 0)
             movedItems.push(item);
         }
     });
 
-    // Add to end of main items (before any archive section would have been)
-    items.push(...movedItems.reverse());
+    // Add to the end of main items (before any archive section would have been);
+    // in the All Task Files view, to the end of the section of the file they came from
+    movedItems.reverse().forEach(item => {
+        items.splice(ItemUtils.getSourceEnd(items, item.source), 0, item);
+    });
 
     // Clear archive selection and switch to main items
     archivedSelectedIndices.clear();
@@ -2682,10 +3485,11 @@ function moveFromArchive() {
 
     // Select the moved items in main list
     selectedIndices.clear();
-    const startIndex = items.length - movedItems.length;
-    for (let i = 0; i < movedItems.length; i++) {
-        selectedIndices.add(startIndex + i);
-    }
+    const movedIds = new Set(movedItems.map(item => item.id));
+    items.forEach((item, index) => {
+        if (movedIds.has(item.id)) selectedIndices.add(index);
+    });
+    const startIndex = Math.min(...selectedIndices);
     activeIndex = startIndex;
     anchorIndex = startIndex;
 
@@ -2726,8 +3530,8 @@ function moveToNextHeading() {
         let nextHeadingIndex = -1;
         for (let i = index + count; i < items.length; i++) {
             if (items[i].type === 'heading') {
-                // Skip Archive heading
-                if (ItemUtils.isArchiveHeading(items[i])) {
+                // Skip Archive heading; tasks never cross into another file in the All Task Files view
+                if (ItemUtils.isArchiveHeading(items[i]) || ItemUtils.isLocked(items[i])) {
                     return;
                 }
                 nextHeadingIndex = i;
@@ -2741,9 +3545,11 @@ function moveToNextHeading() {
         const realDisplacedItems = displacedItems.filter(dItem => !movedIds.has(dItem.id));
         allDisplacedItems.push(...realDisplacedItems);
 
-        if (item.indent === Constants.INDENT.CHILD) {
-            movingItems[0].indent = Constants.INDENT.PARENT;
-        }
+        // Nested tasks become top-level tasks under the new heading
+        const indentDelta = item.indent - Constants.INDENT.PARENT;
+        movingItems.forEach(mi => {
+            mi.indent -= indentDelta;
+        });
 
         items.splice(index, count);
         const newHeadingIndex = nextHeadingIndex - count;
@@ -2810,11 +3616,12 @@ function moveToPrevHeading() {
         // Get item with children
         const { items: movingItems, count } = ItemUtils.getItemWithChildren(items, index);
 
-        // Find all headings above
+        // Find all headings above, up to the file heading in the All Task Files view
         const headingsAbove = [];
         for (let i = index - 1; i >= 0; i--) {
             if (items[i].type === 'heading') {
                 headingsAbove.push({ index: i, item: items[i] });
+                if (ItemUtils.isLocked(items[i])) break;
             }
         }
 
@@ -2828,9 +3635,11 @@ function moveToPrevHeading() {
         // Check if we are already at the target position
         if (insertIndex === index) return;
 
-        if (item.indent === Constants.INDENT.CHILD) {
-            movingItems[0].indent = Constants.INDENT.PARENT;
-        }
+        // Nested tasks become top-level tasks under the new heading
+        const indentDelta = item.indent - Constants.INDENT.PARENT;
+        movingItems.forEach(mi => {
+            mi.indent -= indentDelta;
+        });
 
         const displacedItems = items.slice(insertIndex, index);
         const realDisplacedItems = displacedItems.filter(dItem => !movedIds.has(dItem.id));
@@ -2886,6 +3695,7 @@ function animateDisplacedItems(displacedItems, direction) {
 }
 
 function startEditing(id, isNew) {
+    if (ItemUtils.isLocked(items.find(i => i.id === id))) return;
     editingId = id;
     isNewItem = isNew;
     render(false); // Don't save just because we started editing (though render() is called by addItem with false already)
@@ -2944,29 +3754,43 @@ function showDragIndicator(targetElement, position, indent) {
     }
 }
 
+/**
+ * Send the items to the extension to be saved, with the undo history of the file
+ */
+function sendItems() {
+    vscode.postMessage({
+        type: 'updateItems',
+        items: items,
+        archivedItems: archivedItems,
+        history: HistoryManager.serialize()
+    });
+}
+
 function render(notify = true) {
     const listContainer = document.getElementById('item-list');
     listContainer.innerHTML = '';
 
     if (notify) {
-        vscode.postMessage({
-            type: 'updateItems',
-            items: items,
-            archivedItems: archivedItems
-        });
+        sendItems();
         saveWebviewState();
     }
 
+    renderTagFilterBar();
+
     // Render main items (no archive heading or items in this loop)
     items.forEach((item, index) => {
         // Create base item div
         const itemDiv = RenderUtils.createItemDiv(item, index);
+        // Filtered items stay in the DOM so indices keep matching
+        if (hiddenIndices.has(index)) {
+            itemDiv.classList.add('filtered-out');
+        }
         
         // Make item draggable
         itemDiv.draggable = true;
         
         itemDiv.ondragstart = (e) => {
-            if (editingId) {
+            if (editingId || ItemUtils.isLocked(item)) {
                 e.preventDefault();
                 return;
             }
@@ -2975,14 +3799,9 @@ function render(notify = true) {
             dragState.startX = e.clientX;
             
             dragState.draggedIndices = [index];
-            if (item.indent === 0 && item.type !== 'heading') {
-                for (let i = index + 1; i < items.length; i++) {
-                    if (items[i].indent === 1) {
-                        dragState.draggedIndices.push(i);
-                    } else {
-                        break;
-                    }
-                }
+            const childCount = ItemUtils.getChildCount(items, index);
+            for (let i = index + 1; i <= index + childCount; i++) {
+                dragState.draggedIndices.push(i);
             }
             
             dragState.draggedIndices.forEach(idx => {
@@ -3021,25 +3840,21 @@ function render(notify = true) {
             const position = e.clientY < midY ? 'top' : 'bottom';
             
             const deltaX = e.clientX - dragState.startX;
+            const draggedItem = items[dragState.draggedIndex];
             
-            let newIndent = 0;
-            if (deltaX > 30) {
-                newIndent = 1;
-            }
+            // Horizontal drag distance changes the level, relative to the dragged item
+            let newIndent = (draggedItem?.indent || 0) + Math.trunc(deltaX / 30);
             
-            if (newIndent === 1) {
-                const checkIndex = position === 'top' ? index - 1 : index;
-                if (checkIndex < 0 || (checkIndex >= 0 && items[checkIndex]?.type === 'heading')) {
-                    newIndent = 0;
-                }
-            }
+            // At most one level below the item above the drop position
+            const checkIndex = position === 'top' ? index - 1 : index;
+            const aboveItem = items[checkIndex];
+            const maxAtPosition = (!aboveItem || aboveItem.type === 'heading') ? 0 : aboveItem.indent + 1;
             
-            const draggedItem = items[dragState.draggedIndex];
-            if (draggedItem?.type === 'heading') {
-                newIndent = 0;
-            }
+            // The deepest dragged descendant must stay within the nesting limit
+            const subtreeDepth = Math.max(...dragState.draggedIndices.map(i => items[i].indent)) - (draggedItem?.indent || 0);
+            newIndent = Math.max(0, Math.min(newIndent, maxAtPosition, maxIndent - subtreeDepth));
             
-            if (dragState.draggedIndices.length > 1 && draggedItem?.indent === 0) {
+            if (draggedItem?.type === 'heading') {
                 newIndent = 0;
             }
             
@@ -3081,7 +3896,7 @@ function render(notify = true) {
                 
                 const indentDelta = dragState.dropIndent - movedItems[0].indent;
                 movedItems.forEach(movedItem => {
-                    movedItem.indent = Math.max(0, Math.min(1, movedItem.indent + indentDelta));
+                    movedItem.indent = Math.max(0, Math.min(maxIndent, movedItem.indent + indentDelta));
                 });
                 
                 items.splice(adjustedToIndex, 0, ...movedItems);
@@ -3102,31 +3917,33 @@ function render(notify = true) {
         const contentDiv = document.createElement('div');
         contentDiv.className = 'item-content';
 
+        // File icon for the file headings of the All Task Files view
+        if (ItemUtils.isLocked(item)) {
+            const fileIcon = document.createElement('i');
+            fileIcon.className = 'codicon codicon-file file-heading-icon';
+            contentDiv.appendChild(fileIcon);
+        }
+
         // Add checkbox for todo items
         if (item.type === 'todo') {
             const checkbox = RenderUtils.createCheckbox(item, itemDiv, () => {
-                vscode.postMessage({ type: 'updateItems', items: items, archivedItems: archivedItems });
+                sendItems();
             });
             contentDiv.appendChild(checkbox);
         }
 
+        // Priority indicator
+        const priorityIndicator = RenderUtils.createPriorityIndicator(item);
+        if (priorityIndicator) contentDiv.appendChild(priorityIndicator);
+
         // Title or Edit Input
         if (editingId === item.id) {
             const input = RenderUtils.createEditInput(item, {
                 onTab: (isShift, inputEl) => {
                     item.title = inputEl.value;
                     ignoreBlur = true;
-                    const newIndent = item.indent + (isShift ? -1 : 1);
-                    if (newIndent >= Constants.INDENT.PARENT && newIndent <= Constants.INDENT.MAX) {
-                        if (!isShift) {
-                            if (index > 0 && items[index - 1].type !== 'heading') {
-                                item.indent = newIndent;
-                                render();
-                            }
-                        } else {
-                            item.indent = newIndent;
-                            render();
-                        }
+                    if (IndentManager.shiftSubtree(index, isShift ? -1 : 1)) {
+                        render();
                     }
                     ignoreBlur = false;
                 },
@@ -3169,6 +3986,14 @@ function render(notify = true) {
                 startEditing(item.id, false);
             };
 
+            // Due date chip
+            const dueChip = RenderUtils.createDueChip(item);
+            if (dueChip) contentDiv.appendChild(dueChip);
+
+            // Code link chip
+            const linkChip = RenderUtils.createLinkChip(item);
+            if (linkChip) contentDiv.appendChild(linkChip);
+
             // Note icon
             const noteIcon = RenderUtils.createNoteIcon(item);
             if (noteIcon) contentDiv.appendChild(noteIcon);
@@ -3256,6 +4081,7 @@ function renderArchiveSection(listContainer) {
         archivedItems.forEach((item, index) => {
             const itemDiv = document.createElement('div');
             itemDiv.className = `item archived-item item-${item.type} indent-${item.indent}`;
+            RenderUtils.addTreeClasses(itemDiv, item, index, archivedItems);
             itemDiv.dataset.archivedIndex = index;
             itemDiv.style.paddingLeft = `${RenderUtils.calculatePadding(item)}px`;
 
@@ -3273,14 +4099,26 @@ function renderArchiveSection(listContainer) {
             checkbox.checked = true;
             checkbox.disabled = true;
             checkbox.className = 'item-checkbox';
+            if (item.status) {
+                checkbox.dataset.status = item.status;
+                itemDiv.classList.add(`status-${item.status}`);
+            }
             contentDiv.appendChild(checkbox);
 
             // Title
             const titleSpan = document.createElement('span');
             titleSpan.className = 'item-title';
-            titleSpan.textContent = item.title;
+            RenderUtils.fillTitle(titleSpan, item.title);
             contentDiv.appendChild(titleSpan);
 
+            // Due date chip
+            const dueChip = RenderUtils.createDueChip(item);
+            if (dueChip) contentDiv.appendChild(dueChip);
+
+            // Code link chip
+            const linkChip = RenderUtils.createLinkChip(item);
+            if (linkChip) contentDiv.appendChild(linkChip);
+
             // Note icon
             if (item.note && item.note.trim().length > 0) {
                 const noteIcon = document.createElement('i');
@@ -3480,6 +4318,72 @@ inspectorNote.addEventListener('blur', () => {
     stopEditingNote(true);
 });
 
+// Due date field
+const inspectorDueRow = document.getElementById('inspector-due-row');
+const inspectorDue = document.getElementById('inspector-due');
+const inspectorDueClear = document.getElementById('inspector-due-clear');
+
+/**
+ * Set (or clear) the due date of the active task
+ * @param {string} value - YYYY-MM-DD, or '' to clear
+ */
+function setActiveDue(value) {
+    if (activeIndex < 0 || activeIndex >= items.length) return;
+    const item = items[activeIndex];
+    if (item.type !== 'todo') return;
+
+    const newDue = value || null;
+    if ((item.due || null) === newDue) return;
+
+    saveState();
+    item.due = newDue;
+    render();
+}
+
+inspectorDue.addEventListener('change', () => {
+    setActiveDue(inspectorDue.value);
+});
+
+inspectorDue.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        inspectorDue.blur();
+    }
+});
+
+inspectorDueClear.addEventListener('click', () => {
+    inspectorDue.value = '';
+    setActiveDue('');
+});
+
+// Code link field
+const inspectorLinkRow = document.getElementById('inspector-link-row');
+const inspectorLink = document.getElementById('inspector-link');
+const inspectorLinkClear = document.getElementById('inspector-link-clear');
+
+/**
+ * Open the code a task links to (the extension resolves the path against the task's file)
+ * @param {Object} item - Task with a link
+ */
+function openLink(item) {
+    if (!item.link) return;
+    vscode.postMessage({ type: 'openLink', link: item.link, source: item.source });
+}
+
+inspectorLink.addEventListener('click', () => {
+    if (activeIndex < 0 || activeIndex >= items.length) return;
+    openLink(items[activeIndex]);
+});
+
+inspectorLinkClear.addEventListener('click', () => {
+    if (activeIndex < 0 || activeIndex >= items.length) return;
+    const item = items[activeIndex];
+    if (!item.link) return;
+    saveState();
+    item.link = null;
+    render();
+});
+
 // Inspector Folding Logic
 const inspectorHeader = document.getElementById('inspector-header');
 const inspectorContent = document.getElementById('inspector-content');
@@ -3554,8 +4458,8 @@ function renderInspector() {
     const inspector = document.getElementById('inspector');
     const resizeHandle = document.getElementById('inspector-resize-handle');
 
-    // Hide inspector when archive items are selected
-    if (isArchiveActive || isArchiveHeaderSelected) {
+    // Hide inspector when archive items or file headings are selected
+    if (isArchiveActive || isArchiveHeaderSelected || ItemUtils.isLocked(items[activeIndex])) {
         inspector.style.display = 'none';
         resizeHandle.style.display = 'none';
         if (isEditingNote) {
@@ -3580,6 +4484,19 @@ function renderInspector() {
             renderNoteDisplay();
         }
 
+        // Due date field is only for tasks
+        inspectorDueRow.style.display = item.type === 'todo' ? '' : 'none';
+        if (document.activeElement !== inspectorDue) {
+            inspectorDue.value = item.due || '';
+        }
+        inspectorDueClear.style.visibility = item.due ? '' : 'hidden';
+
+        // Code link, shown only when the task has one
+        inspectorLinkRow.style.display = item.type === 'todo' && item.link ? '' : 'none';
+        if (item.link) {
+            inspectorLink.textContent = LinkUtils.format(item.link);
+        }
+
         // Only update textarea value if we switched items or if it's not focused
         if (inspectorNote.dataset.itemId !== item.id) {
             inspectorNote.value = item.note || '';
@@ -3631,5 +4548,5 @@ if (cachedItems && cachedItems.length > 0) {
     });
 }
 
-// Signal that we are ready
-vscode.postMessage({ type: 'ready' });
+// Signal that we are ready (cached items let the extension keep their ids)
+vscode.postMessage({ type: 'ready', items: cachedItems, archivedItems: cachedArchivedItems });
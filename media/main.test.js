@@ -14,6 +14,7 @@ const Constants = {
         CHILD: 1,
         MAX: 1
     },
+    STATUS_CYCLE: [null, 'in-progress', 'cancelled', 'deferred'],
     ITEM_PADDING_BASE: 4,
     ITEM_PADDING_PER_INDENT: 20
 };
@@ -34,14 +35,32 @@ const ItemUtils = {
         return item && item.type === 'heading' && item.title === 'Archive';
     },
 
+    isLocked(item) {
+        return !!(item && item.locked);
+    },
+
+    getSource(itemList, index) {
+        for (let i = index; i >= 0; i--) {
+            if (this.isLocked(itemList[i])) return itemList[i].source;
+        }
+        return undefined;
+    },
+
+    getSourceEnd(itemList, source) {
+        const start = source === undefined ? -1 : itemList.findIndex(item => this.isLocked(item) && item.source === source);
+        if (start === -1) return itemList.length;
+        const next = itemList.findIndex((item, i) => i > start && this.isLocked(item));
+        return next === -1 ? itemList.length : next;
+    },
+
     getChildCount(itemList, parentIndex) {
         if (parentIndex < 0 || parentIndex >= itemList.length) return 0;
         const parentItem = itemList[parentIndex];
-        if (parentItem.indent !== Constants.INDENT.PARENT || parentItem.type === 'heading') return 0;
+        if (parentItem.type === 'heading') return 0;
 
         let count = 0;
         for (let i = parentIndex + 1; i < itemList.length; i++) {
-            if (itemList[i].indent <= Constants.INDENT.PARENT || itemList[i].type === 'heading') break;
+            if (itemList[i].indent <= parentItem.indent || itemList[i].type === 'heading') break;
             count++;
         }
         return count;
@@ -49,20 +68,19 @@ const ItemUtils = {
 
     getItemWithChildren(itemList, index) {
         if (index < 0 || index >= itemList.length) return { items: [], count: 0 };
-        
+
         const item = itemList[index];
         let count = 1;
 
         if (item.type === 'heading') {
+            // Heading includes all items until next heading
             for (let i = index + 1; i < itemList.length; i++) {
                 if (itemList[i].type === 'heading') break;
                 count++;
             }
-        } else if (item.indent === Constants.INDENT.PARENT) {
-            for (let i = index + 1; i < itemList.length; i++) {
-                if (itemList[i].indent <= Constants.INDENT.PARENT || itemList[i].type === 'heading') break;
-                count++;
-            }
+        } else {
+            // Task includes its whole subtree
+            count += this.getChildCount(itemList, index);
         }
 
         return {
@@ -73,13 +91,17 @@ const ItemUtils = {
 
     isParentSelected(itemList, childIndex, selectedSet) {
         const item = itemList[childIndex];
-        if (!item || item.indent !== Constants.INDENT.CHILD) return false;
+        if (!item || item.type === 'heading' || item.indent <= Constants.INDENT.PARENT) return false;
 
+        let currentIndent = item.indent;
         for (let i = childIndex - 1; i >= 0; i--) {
-            if (itemList[i].indent === Constants.INDENT.PARENT) {
-                return selectedSet.has(i);
-            }
             if (itemList[i].type === 'heading') break;
+            if (itemList[i].indent < currentIndent) {
+                // Found the next ancestor up the tree
+                if (selectedSet.has(i)) return true;
+                currentIndent = itemList[i].indent;
+                if (currentIndent <= Constants.INDENT.PARENT) break;
+            }
         }
         return false;
     },
@@ -94,7 +116,8 @@ const ItemUtils = {
             if (!item) return;
             if (excludeHeadings && item.type === 'heading') return;
 
-            if (item.indent === Constants.INDENT.CHILD && this.isParentSelected(itemList, index, selectedSet)) {
+            // Skip nested items whose ancestors are also selected
+            if (item.indent > Constants.INDENT.PARENT && this.isParentSelected(itemList, index, selectedSet)) {
                 return;
             }
 
@@ -109,6 +132,8 @@ const ItemUtils = {
             const copy = JSON.parse(JSON.stringify(item));
             if (generateNewIds) {
                 copy.id = this.generateId();
+                // Unrecognized markdown stays with the original item only
+                delete copy.passthrough;
             }
             return copy;
         });
@@ -124,12 +149,38 @@ const ItemUtils = {
         return false;
     },
 
+    getNextStatus(item) {
+        const current = item.isChecked ? null : (item.status || null);
+        const cycle = Constants.STATUS_CYCLE;
+        return cycle[(cycle.indexOf(current) + 1) % cycle.length];
+    },
+
+    isLastSibling(itemList, index) {
+        const indent = itemList[index].indent;
+        for (let i = index + 1; i < itemList.length; i++) {
+            if (itemList[i].type === 'heading' || itemList[i].indent < indent) return true;
+            if (itemList[i].indent === indent) return false;
+        }
+        return true;
+    },
+
+    getMaxIndentAt(itemList, position) {
+        if (position === 0 || !this.hasParentAbove(itemList, position)) return Constants.INDENT.PARENT;
+        return itemList[position - 1].indent + 1;
+    },
+
     adjustOrphanedIndent(itemsToInsert, targetList, insertPosition) {
         if (itemsToInsert.length === 0) return;
-        if (itemsToInsert[0].indent !== Constants.INDENT.CHILD) return;
+        const firstIndent = itemsToInsert[0].indent;
+        if (firstIndent <= Constants.INDENT.PARENT) return;
+
+        const delta = this.getMaxIndentAt(targetList, insertPosition) - firstIndent;
+        if (delta >= 0) return;
 
-        if (insertPosition === 0 || !this.hasParentAbove(targetList, insertPosition)) {
-            itemsToInsert[0].indent = Constants.INDENT.PARENT;
+        // Shift the first item together with its siblings and subtrees
+        for (const item of itemsToInsert) {
+            if (item.indent < firstIndent) break;
+            item.indent = Math.max(Constants.INDENT.PARENT, item.indent + delta);
         }
     }
 };
@@ -279,6 +330,56 @@ function testItemUtilsGetChildCount() {
     assertEqual(ItemUtils.getChildCount(items, 100), 0, 'Out of bounds returns 0');
 }
 
+function testItemUtilsDeepNesting() {
+    console.log('\n📋 ItemUtils deep nesting tests:');
+    
+    const items = [
+        createTestItem('1', 'todo', 'Project', 0),
+        createTestItem('2', 'todo', 'Phase', 1),
+        createTestItem('3', 'todo', 'Step', 2),
+        createTestItem('4', 'todo', 'Detail', 3),
+        createTestItem('5', 'todo', 'Next step', 2),
+        createTestItem('6', 'todo', 'Next phase', 1),
+        createTestItem('7', 'todo', 'Other project', 0),
+    ];
+    
+    assertEqual(ItemUtils.getChildCount(items, 0), 5, 'root counts all descendants');
+    assertEqual(ItemUtils.getChildCount(items, 1), 3, 'nested task counts its own subtree');
+    assertEqual(ItemUtils.getChildCount(items, 2), 1, 'grandchild counts its child');
+    assertEqual(ItemUtils.getItemWithChildren(items, 1).count, 4, 'nested task block includes itself');
+    
+    assertTrue(ItemUtils.isParentSelected(items, 3, new Set([0])), 'great-grandchild of selected root is covered');
+    assertTrue(ItemUtils.isParentSelected(items, 3, new Set([1])), 'grandchild of selected task is covered');
+    assertFalse(ItemUtils.isParentSelected(items, 5, new Set([2])), 'task beside selected subtree is not covered');
+    
+    const result = ItemUtils.collectItemsToProcess(items, new Set([1, 3, 6]));
+    assertEqual(result.length, 2, 'descendants of a selected task are skipped');
+    assertEqual(result[0].id, '2', 'selected subtree root is kept');
+    
+    assertFalse(ItemUtils.isLastSibling(items, 2), 'step with a later sibling is not last');
+    assertTrue(ItemUtils.isLastSibling(items, 3), 'only child is last');
+    assertTrue(ItemUtils.isLastSibling(items, 4), 'last step before outdent is last');
+    assertTrue(ItemUtils.isLastSibling(items, 5), 'last phase before next root is last');
+    
+    assertEqual(ItemUtils.getMaxIndentAt(items, 4), 4, 'insert below level 3 allows level 4');
+}
+
+function testItemUtilsGetNextStatus() {
+    console.log('\n📋 ItemUtils.getNextStatus tests:');
+    
+    const item = createTestItem('1', 'todo', 'Task', 0);
+    assertEqual(ItemUtils.getNextStatus(item), 'in-progress', 'open task becomes in progress');
+    item.status = 'in-progress';
+    assertEqual(ItemUtils.getNextStatus(item), 'cancelled', 'in progress becomes cancelled');
+    item.status = 'cancelled';
+    assertEqual(ItemUtils.getNextStatus(item), 'deferred', 'cancelled becomes deferred');
+    item.status = 'deferred';
+    assertEqual(ItemUtils.getNextStatus(item), null, 'deferred returns to open');
+    
+    const done = createTestItem('2', 'todo', 'Done', 0, true);
+    assertEqual(ItemUtils.getNextStatus(done), 'in-progress', 'done task restarts the cycle');
+}
+
 function testItemUtilsGetItemWithChildren() {
     console.log('\n📋 ItemUtils.getItemWithChildren tests:');
     
@@ -369,6 +470,10 @@ function testItemUtilsDeepCopyItems() {
     // Ensure deep copy
     copy1[0].title = 'Modified';
     assertEqual(items[0].title, 'Task 1', 'original is not modified');
+
+    const withPassthrough = [{ ...createTestItem('2', 'todo', 'Task 2'), passthrough: ['| a | b |'] }];
+    assertEqual(ItemUtils.deepCopyItems(withPassthrough, false)[0].passthrough, ['| a | b |'], 'keeps passthrough when IDs are kept');
+    assertEqual(ItemUtils.deepCopyItems(withPassthrough, true)[0].passthrough, undefined, 'drops passthrough on copies with new IDs');
 }
 
 function testItemUtilsHasParentAbove() {
@@ -480,6 +585,325 @@ function testSelectionManagerValidate() {
     assertEqual(anchorIndex, -1, 'validate resets invalid anchorIndex');
 }
 
+// ============================================================
+// DueDateUtils (copy from main.js for standalone testing)
+// ============================================================
+const DueDateUtils = {
+    PATTERN: /(^|\s)(📅\s?|due:)(\d{4}-\d{2}-\d{2})(?=\s|$)/u,
+
+    extract(title) {
+        const match = title.match(this.PATTERN);
+        if (!match || !this.isValid(match[3])) {
+            return { title, due: null, dueStyle: 'emoji' };
+        }
+        const rest = (title.substring(0, match.index) + title.substring(match.index + match[0].length)).trim();
+        // A title that is only a date stays as it is
+        if (rest === '') {
+            return { title, due: null, dueStyle: 'emoji' };
+        }
+        return { title: rest, due: match[3], dueStyle: match[2] === 'due:' ? 'keyword' : 'emoji' };
+    },
+
+    isValid(value) {
+        const [year, month, day] = value.split('-').map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    },
+
+    today(now = new Date()) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    },
+
+    getState(item, today) {
+        if (!item.due || item.isChecked || item.status === 'cancelled') return null;
+        // ISO dates compare correctly as strings
+        if (item.due < today) return 'overdue';
+        if (item.due === today) return 'today';
+        return 'upcoming';
+    },
+
+    formatLabel(due, today) {
+        if (due === today) return 'Today';
+        return due.substring(0, 4) === today.substring(0, 4) ? due.substring(5) : due;
+    }
+};
+
+// ============================================================
+// DueDateUtils Tests
+// ============================================================
+function testDueDateUtilsExtract() {
+    console.log('\n📋 DueDateUtils.extract tests:');
+    
+    assertEqual(
+        DueDateUtils.extract('Ship release 📅 2026-10-25'),
+        { title: 'Ship release', due: '2026-10-25', dueStyle: 'emoji' },
+        'extracts emoji due date'
+    );
+    assertEqual(
+        DueDateUtils.extract('Ship due:2026-10-25 release'),
+        { title: 'Ship release', due: '2026-10-25', dueStyle: 'keyword' },
+        'extracts keyword due date from the middle'
+    );
+    assertEqual(DueDateUtils.extract('Fix 📅 2026-02-30').due, null, 'ignores impossible date');
+    assertEqual(DueDateUtils.extract('overdue:2026-10-25').due, null, 'ignores token glued to a word');
+    assertEqual(DueDateUtils.extract('📅 2026-10-25').title, '📅 2026-10-25', 'keeps a title that is only a date');
+}
+
+function testDueDateUtilsState() {
+    console.log('\n📋 DueDateUtils.getState tests:');
+    
+    const today = '2026-10-19';
+    assertEqual(DueDateUtils.getState({ due: '2026-10-18' }, today), 'overdue', 'past date is overdue');
+    assertEqual(DueDateUtils.getState({ due: '2026-10-19' }, today), 'today', 'same date is today');
+    assertEqual(DueDateUtils.getState({ due: '2026-11-01' }, today), 'upcoming', 'future date is upcoming');
+    assertEqual(DueDateUtils.getState({ due: '2026-10-18', isChecked: true }, today), null, 'done task is never overdue');
+    assertEqual(DueDateUtils.getState({ due: '2026-10-18', status: 'cancelled' }, today), null, 'cancelled task is never overdue');
+    assertEqual(DueDateUtils.getState({ due: '2026-10-18', status: 'deferred' }, today), 'overdue', 'deferred task can be overdue');
+    assertEqual(DueDateUtils.getState({ due: null }, today), null, 'no due date has no state');
+    
+    assertEqual(DueDateUtils.today(new Date(2026, 0, 5)), '2026-01-05', 'today is formatted as local YYYY-MM-DD');
+    assertEqual(DueDateUtils.formatLabel('2026-10-19', today), 'Today', 'label for today');
+    assertEqual(DueDateUtils.formatLabel('2026-12-01', today), '12-01', 'label drops the current year');
+    assertEqual(DueDateUtils.formatLabel('2027-01-01', today), '2027-01-01', 'label keeps another year');
+}
+
+// ============================================================
+// LinkUtils (copy from main.js for standalone testing)
+// ============================================================
+const LinkUtils = {
+    format(link) {
+        return `${link.path}:${link.line}`;
+    },
+
+    formatLabel(link) {
+        const name = link.path.substring(link.path.lastIndexOf('/') + 1);
+        return `${name}:${link.line}`;
+    }
+};
+
+// ============================================================
+// LinkUtils Tests
+// ============================================================
+function testLinkUtilsFormat() {
+    console.log('\n📋 LinkUtils tests:');
+    
+    assertEqual(LinkUtils.format({ path: 'src/parser.ts', line: 42 }), 'src/parser.ts:42', 'formats path and line');
+    assertEqual(LinkUtils.formatLabel({ path: '../src/parser.ts', line: 42 }), 'parser.ts:42', 'label drops the folders');
+    assertEqual(LinkUtils.formatLabel({ path: 'README.md', line: 1 }), 'README.md:1', 'label of a file next to the task file');
+}
+
+// ============================================================
+// TagUtils (copy from main.js for standalone testing)
+// ============================================================
+const TagUtils = {
+    PATTERN: /(^|\s)#([\p{L}\p{N}_](?:[\p{L}\p{N}_\-/.]*[\p{L}\p{N}_])?)/gu,
+    COLOR_COUNT: 6,
+
+    findTags(title) {
+        const found = [];
+        for (const match of (title || '').matchAll(this.PATTERN)) {
+            // Purely numeric tokens are issue numbers, not tags
+            if (/^\d+$/.test(match[2])) continue;
+            const start = match.index + match[1].length;
+            found.push({ tag: match[2], start, end: start + 1 + match[2].length });
+        }
+        return found;
+    },
+
+    extract(title) {
+        const tags = [];
+        const seen = new Set();
+        this.findTags(title).forEach(({ tag }) => {
+            const key = tag.toLowerCase();
+            if (!seen.has(key)) {
+                seen.add(key);
+                tags.push(tag);
+            }
+        });
+        return tags;
+    },
+
+    colorIndex(tag) {
+        let hash = 0;
+        for (const ch of tag.toLowerCase()) {
+            hash = (hash * 31 + ch.codePointAt(0)) >>> 0;
+        }
+        return hash % this.COLOR_COUNT;
+    },
+
+    collectAll(itemList) {
+        const tags = new Map();
+        itemList.forEach(item => {
+            this.extract(item.title).forEach(tag => {
+                const key = tag.toLowerCase();
+                if (!tags.has(key)) tags.set(key, tag);
+            });
+        });
+        return Array.from(tags.values()).sort((a, b) => a.localeCompare(b));
+    },
+
+    getHiddenIndices(itemList, filters) {
+        const hidden = new Set();
+        if (filters.size === 0) return hidden;
+
+        const visible = new Set();
+        itemList.forEach((item, index) => {
+            if (item.type !== 'todo') return;
+            const matches = this.extract(item.title).some(tag => filters.has(tag.toLowerCase()));
+            if (!matches) return;
+
+            // The task and its subtree
+            const childCount = ItemUtils.getChildCount(itemList, index);
+            for (let i = index; i <= index + childCount; i++) {
+                visible.add(i);
+            }
+
+            // Its ancestors and heading, for context
+            let depth = item.indent;
+            for (let i = index - 1; i >= 0; i--) {
+                if (itemList[i].type === 'heading') {
+                    visible.add(i);
+                    break;
+                }
+                if (depth > 0 && itemList[i].indent < depth) {
+                    visible.add(i);
+                    depth = itemList[i].indent;
+                }
+            }
+        });
+
+        itemList.forEach((item, index) => {
+            if (!visible.has(index)) hidden.add(index);
+        });
+        return hidden;
+    }
+};
+
+// ============================================================
+// TagUtils Tests
+// ============================================================
+function testTagUtilsExtract() {
+    console.log('\n📋 TagUtils.extract tests:');
+    
+    assertEqual(TagUtils.extract('Fix login #backend #release-1.2'), ['backend', 'release-1.2'], 'extracts tags with dashes and dots');
+    assertEqual(TagUtils.extract('#ui first'), ['ui'], 'tag at the start');
+    assertEqual(TagUtils.extract('End of sentence #docs.'), ['docs'], 'trailing dot is not part of the tag');
+    assertEqual(TagUtils.extract('Issue #123 and a#b'), [], 'ignores numbers and hashes inside words');
+    assertEqual(TagUtils.extract('#UI and #ui'), ['UI'], 'case variants count once');
+    assertEqual(TagUtils.extract('日本語 #タグ'), ['タグ'], 'supports non-ASCII tags');
+    
+    const found = TagUtils.findTags('a #b c');
+    assertEqual(found, [{ tag: 'b', start: 2, end: 4 }], 'reports token positions');
+    
+    assertEqual(TagUtils.colorIndex('Backend'), TagUtils.colorIndex('backend'), 'color ignores case');
+    assertTrue(TagUtils.colorIndex('backend') < TagUtils.COLOR_COUNT, 'color index is in range');
+}
+
+function testTagUtilsGetHiddenIndices() {
+    console.log('\n📋 TagUtils.getHiddenIndices tests:');
+    
+    const items = [
+        createTestItem('1', 'heading', 'Section 1'),
+        createTestItem('2', 'todo', 'Parent', 0),
+        createTestItem('3', 'todo', 'Child #backend', 1),
+        createTestItem('4', 'todo', 'Grandchild', 2),
+        createTestItem('5', 'todo', 'Other', 0),
+        createTestItem('6', 'heading', 'Section 2'),
+        createTestItem('7', 'todo', 'Unrelated', 0),
+        createTestItem('8', 'todo', 'Frontend #ui', 0),
+    ];
+    
+    assertEqual(TagUtils.getHiddenIndices(items, new Set()).size, 0, 'no filter hides nothing');
+    
+    let hidden = TagUtils.getHiddenIndices(items, new Set(['backend']));
+    assertEqual(Array.from(hidden).sort((a, b) => a - b), [4, 5, 6, 7], 'keeps match, ancestors, subtree and heading');
+    
+    hidden = TagUtils.getHiddenIndices(items, new Set(['backend', 'ui']));
+    assertEqual(Array.from(hidden).sort((a, b) => a - b), [4, 6], 'several tags show either');
+    
+    assertEqual(TagUtils.collectAll(items), ['backend', 'ui'], 'collects all tags sorted');
+}
+
+// ============================================================
+// PriorityUtils (copy from main.js for standalone testing)
+// ============================================================
+const PriorityUtils = {
+    // Sort order; null (no marker) sits between medium and low
+    RANKS: ['highest', 'high', 'medium', null, 'low', 'lowest'],
+    EMOJI: { '🔺': 'highest', '⏫': 'high', '🔼': 'medium', '🔽': 'low', '⏬': 'lowest' },
+    LETTERS: { A: 'high', B: 'medium', C: 'low' },
+    BANGS: { '!!!': 'high', '!!': 'medium', '!': 'low' },
+
+    getLevel(title) {
+        if (!title) return null;
+        for (const ch of title) {
+            if (this.EMOJI[ch]) return this.EMOJI[ch];
+        }
+        const letter = title.match(/^\(([ABC])\)(?=\s|$)/);
+        if (letter) return this.LETTERS[letter[1]];
+        const bangs = title.match(/(?:^|\s)(!{1,3})(?=\s|$)/);
+        if (bangs) return this.BANGS[bangs[1]];
+        return null;
+    },
+
+    getRank(item) {
+        return this.RANKS.indexOf(this.getLevel(item.title));
+    },
+
+    sortSection(itemList, start, end) {
+        const blocks = [];
+        let i = start;
+        while (i < end) {
+            const { items: block, count } = ItemUtils.getItemWithChildren(itemList, i);
+            blocks.push(block);
+            i += Math.max(count, 1);
+        }
+        blocks.sort((a, b) => this.getRank(a[0]) - this.getRank(b[0]));
+        return blocks.flat();
+    }
+};
+
+// ============================================================
+// PriorityUtils Tests
+// ============================================================
+function testPriorityUtilsGetLevel() {
+    console.log('\n📋 PriorityUtils.getLevel tests:');
+    
+    assertEqual(PriorityUtils.getLevel('Ship it 🔺'), 'highest', 'red triangle is highest');
+    assertEqual(PriorityUtils.getLevel('Ship it ⏫'), 'high', 'double up arrow is high');
+    assertEqual(PriorityUtils.getLevel('Ship it 🔼'), 'medium', 'up arrow is medium');
+    assertEqual(PriorityUtils.getLevel('Ship it 🔽'), 'low', 'down arrow is low');
+    assertEqual(PriorityUtils.getLevel('Ship it ⏬'), 'lowest', 'double down arrow is lowest');
+    assertEqual(PriorityUtils.getLevel('(A) Call back'), 'high', '(A) is high');
+    assertEqual(PriorityUtils.getLevel('(C) Call back'), 'low', '(C) is low');
+    assertEqual(PriorityUtils.getLevel('Call (A) back'), null, '(A) only counts at the start');
+    assertEqual(PriorityUtils.getLevel('Fix crash !!!'), 'high', '!!! is high');
+    assertEqual(PriorityUtils.getLevel('!! Fix crash'), 'medium', '!! is medium');
+    assertEqual(PriorityUtils.getLevel('Fix crash now!'), null, 'exclamation inside a word is not a marker');
+    assertEqual(PriorityUtils.getLevel('Plain task'), null, 'no marker');
+}
+
+function testPriorityUtilsSortSection() {
+    console.log('\n📋 PriorityUtils.sortSection tests:');
+    
+    const items = [
+        createTestItem('1', 'heading', 'Section'),
+        createTestItem('2', 'todo', 'Plain', 0),
+        createTestItem('3', 'todo', 'Low 🔽', 0),
+        createTestItem('4', 'todo', 'Low child', 1),
+        createTestItem('5', 'todo', 'Urgent ⏫', 0),
+        createTestItem('6', 'todo', 'Urgent child', 1),
+        createTestItem('7', 'todo', 'Urgent grandchild', 2),
+        createTestItem('8', 'todo', 'Also plain', 0),
+        createTestItem('9', 'heading', 'Next'),
+    ];
+    
+    const sorted = PriorityUtils.sortSection(items, 1, 8);
+    assertEqual(sorted.map(i => i.id), ['5', '6', '7', '2', '8', '3', '4'], 'sorts blocks by priority, keeping subtasks and order of ties');
+    assertEqual(PriorityUtils.sortSection(items, 1, 2).map(i => i.id), ['2'], 'single task stays');
+}
+
 // ============================================================
 // MoveUtils (copy from main.js for standalone testing)
 // ============================================================
@@ -488,13 +912,10 @@ const MoveUtils = {
         const expandedIndices = new Set(indices);
         indices.forEach(idx => {
             const item = itemList[idx];
-            if (item.indent === Constants.INDENT.PARENT && item.type !== 'heading') {
-                for (let i = idx + 1; i < itemList.length; i++) {
-                    if (itemList[i].indent === Constants.INDENT.CHILD) {
-                        expandedIndices.add(i);
-                    } else {
-                        break;
-                    }
+            if (item.type !== 'heading') {
+                const childCount = ItemUtils.getChildCount(itemList, idx);
+                for (let i = idx + 1; i <= idx + childCount; i++) {
+                    expandedIndices.add(i);
                 }
             }
         });
@@ -511,21 +932,46 @@ const MoveUtils = {
     },
 
     getBlockCount(itemList, startIndex) {
-        const item = itemList[startIndex];
-        let count = 1;
+        return ItemUtils.getItemWithChildren(itemList, startIndex).count;
+    },
 
-        if (item.type === 'heading') {
-            for (let i = startIndex + 1; i < itemList.length; i++) {
-                if (itemList[i].type === 'heading') break;
-                count++;
+    findBlockAbove(itemList, currentIndex, item) {
+        for (let i = currentIndex - 1; i >= 0; i--) {
+            const candidate = itemList[i];
+            // Items never cross into another file in the All Task Files view
+            if (ItemUtils.isLocked(candidate)) return -1;
+            if (item.type === 'heading') {
+                if (candidate.type === 'heading') return i;
+                continue;
             }
-        } else if (item.indent === Constants.INDENT.PARENT) {
-            for (let i = startIndex + 1; i < itemList.length; i++) {
-                if (itemList[i].indent <= Constants.INDENT.PARENT || itemList[i].type === 'heading') break;
-                count++;
+            if (candidate.type === 'heading') {
+                return item.indent === Constants.INDENT.PARENT ? i : -1;
             }
+            if (candidate.indent === item.indent) return i;
+            if (candidate.indent < item.indent) return -1;
         }
-        return count;
+        return -1;
+    },
+
+    getSwapCountDown(itemList, nextIndex, currentItem) {
+        if (nextIndex >= itemList.length) return 0;
+
+        const nextItem = itemList[nextIndex];
+        if (ItemUtils.isLocked(nextItem)) return 0;
+
+        // For headings, swap with the whole next section
+        if (currentItem.type === 'heading') {
+            return nextItem.type === 'heading' ? this.getBlockCount(itemList, nextIndex) : 1;
+        }
+
+        // Top-level tasks hop over the next heading into the next section
+        if (nextItem.type === 'heading') {
+            return currentItem.indent === Constants.INDENT.PARENT ? 1 : 0;
+        }
+
+        // Tasks swap with the next sibling and its subtree
+        if (nextItem.indent !== currentItem.indent) return 0;
+        return this.getBlockCount(itemList, nextIndex);
     },
 
     updateSelectionByIds(itemList, movingIds) {
@@ -620,6 +1066,55 @@ function testMoveUtilsGetBlockCount() {
     assertEqual(MoveUtils.getBlockCount(items, 7), 1, 'single task counts as 1');
 }
 
+function testMoveUtilsDeepNesting() {
+    console.log('\n📋 MoveUtils deep nesting tests:');
+    
+    const items = [
+        createTestItem('1', 'todo', 'Project', 0),
+        createTestItem('2', 'todo', 'Phase A', 1),
+        createTestItem('3', 'todo', 'Step', 2),
+        createTestItem('4', 'todo', 'Phase B', 1),
+        createTestItem('5', 'todo', 'Step', 2),
+        createTestItem('6', 'todo', 'Detail', 3),
+    ];
+    
+    assertEqual(MoveUtils.findBlockAbove(items, 3, items[3]), 1, 'phase B finds phase A above');
+    assertEqual(MoveUtils.findBlockAbove(items, 1, items[1]), -1, 'first phase stops at its parent');
+    assertEqual(MoveUtils.findBlockAbove(items, 4, items[4]), -1, 'step does not leave its parent');
+    assertEqual(MoveUtils.getSwapCountDown(items, 3, items[1]), 3, 'phase A swaps with the whole phase B subtree');
+    assertEqual(MoveUtils.getSwapCountDown(items, 3, items[2]), 0, 'step does not swap with an outdented task');
+    
+    const expanded = MoveUtils.expandSelectionWithChildren([3], items);
+    assertEqual(expanded.length, 3, 'selection expands to every descendant');
+}
+
+function testMoveUtilsFileHeadings() {
+    console.log('\n📋 MoveUtils file heading (All Task Files) tests:');
+
+    const fileHeading = (id, source) => ({ ...createTestItem(id, 'heading', source, 0), locked: true, source });
+    const items = [
+        fileHeading('f1', 'a.md'),
+        createTestItem('1', 'todo', 'Task A', 0),
+        fileHeading('f2', 'b.md'),
+        createTestItem('2', 'heading', 'Section', 0),
+        createTestItem('3', 'todo', 'Task B', 0),
+    ];
+
+    assertEqual(MoveUtils.findBlockAbove(items, 3, items[3]), -1, 'heading does not move above a file heading');
+    assertEqual(MoveUtils.findBlockAbove(items, 1, items[1]), -1, 'task does not move above its file heading');
+    assertEqual(MoveUtils.getSwapCountDown(items, 2, items[1]), 0, 'task does not move down into the next file');
+    assertEqual(MoveUtils.getSwapCountDown(items, 4, items[3]), 1, 'moves within a file are unchanged');
+
+    assertTrue(ItemUtils.isLocked(items[0]), 'file heading is locked');
+    assertFalse(ItemUtils.isLocked(items[3]), 'regular heading is not locked');
+    assertEqual(ItemUtils.getSource(items, 1), 'a.md', 'task belongs to the file heading above');
+    assertEqual(ItemUtils.getSource(items, 4), 'b.md', 'task under a section belongs to its file');
+    assertEqual(ItemUtils.getSource([createTestItem('1', 'todo', 'Task', 0)], 0), undefined, 'no source outside the All Task Files view');
+    assertEqual(ItemUtils.getSourceEnd(items, 'a.md'), 2, 'a file section ends at the next file heading');
+    assertEqual(ItemUtils.getSourceEnd(items, 'b.md'), 5, 'the last file section ends at the end of the list');
+    assertEqual(ItemUtils.getSourceEnd(items, undefined), 5, 'without a source, the end of the list');
+}
+
 function testMoveUtilsCheckMovedIntoArchive() {
     console.log('\n📋 MoveUtils.checkMovedIntoArchive tests:');
     
@@ -648,40 +1143,184 @@ function testMoveUtilsCheckMovedIntoArchive() {
     );
 }
 
+// ============================================================
+// HistoryUtils (copy from main.js for standalone testing)
+// ============================================================
+const HistoryUtils = {
+    ARCHIVE_MARKER: '\u0000archive',
+
+    diff(before, after) {
+        const beforeById = this.indexById(before);
+        const afterById = this.indexById(after);
+        const changes = {};
+        let changed = false;
+        new Set([...beforeById.keys(), ...afterById.keys()]).forEach(id => {
+            const beforeItem = beforeById.get(id) || null;
+            const afterItem = afterById.get(id) || null;
+            if (this.same(beforeItem, afterItem)) return;
+            changes[id] = [this.copy(beforeItem), this.copy(afterItem)];
+            changed = true;
+        });
+
+        const step = { changes, before: this.getOrder(before), after: this.getOrder(after) };
+        if (!changed && this.same(step.before, step.after)) return null;
+        return step;
+    },
+
+    apply(state, step, backwards) {
+        const [from, to] = backwards ? [1, 0] : [0, 1];
+        const result = new Map();
+        this.indexById(state).forEach((item, id) => result.set(id, this.copy(item)));
+
+        Object.keys(step.changes).forEach(id => {
+            const source = step.changes[id][from];
+            const target = step.changes[id][to];
+            const current = result.get(id);
+            if (!target) {
+                result.delete(id);
+            } else if (!source) {
+                result.set(id, this.copy(target));
+            } else if (current) {
+                new Set([...Object.keys(source), ...Object.keys(target)]).forEach(key => {
+                    if (this.same(source[key], target[key])) return;
+                    if (key in target) {
+                        current[key] = this.copy(target[key]);
+                    } else {
+                        delete current[key];
+                    }
+                });
+            }
+        });
+
+        const order = this.mergeOrder(
+            this.toSequence(this.getOrder(state)),
+            this.toSequence(backwards ? step.before : step.after),
+            this.toSequence(backwards ? step.after : step.before),
+            result
+        );
+        const archiveStart = order.indexOf(this.ARCHIVE_MARKER);
+        return {
+            items: order.slice(0, archiveStart).map(id => result.get(id)),
+            archivedItems: order.slice(archiveStart + 1).map(id => result.get(id))
+        };
+    },
+
+    mergeOrder(current, target, source, kept) {
+        const isKept = id => id === this.ARCHIVE_MARKER || kept.has(id);
+        const shared = ids => ids.filter(id => id === this.ARCHIVE_MARKER || (target.includes(id) && source.includes(id)));
+        const moved = !this.same(shared(target), shared(source));
+        const [primary, secondary] = moved ? [target, current] : [current, target];
+
+        const order = primary.filter(isKept);
+        const placed = new Set(order);
+        secondary.forEach((id, i) => {
+            if (placed.has(id) || !isKept(id)) return;
+            let at = 0;
+            for (let j = i - 1; j >= 0; j--) {
+                const anchor = order.indexOf(secondary[j]);
+                if (anchor !== -1) {
+                    at = anchor + 1;
+                    break;
+                }
+            }
+            order.splice(at, 0, id);
+            placed.add(id);
+        });
+        return order;
+    },
+
+    getOrder(state) {
+        return {
+            items: state.items.map(item => item.id),
+            archivedItems: (state.archivedItems || []).map(item => item.id)
+        };
+    },
+
+    toSequence(order) {
+        return [...order.items, this.ARCHIVE_MARKER, ...order.archivedItems];
+    },
+
+    indexById(state) {
+        return new Map([...state.items, ...(state.archivedItems || [])].map(item => [item.id, item]));
+    },
+
+    same(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    },
+
+    copy(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+};
+
 // ============================================================
 // HistoryManager (copy from main.js for standalone testing)
 // ============================================================
 let mockHistory = [];
 let mockFuture = [];
+let mockPendingState = null;
 let mockItems = [];
+let mockArchivedItems = [];
 let mockIsUndoingRedoing = false;
 let mockActiveIndex = -1;
 let mockSelectedIndices = new Set();
 let mockAnchorIndex = -1;
+let mockMaxIndent = Constants.INDENT.MAX;
 
 const HistoryManager = {
     save() {
         if (mockIsUndoingRedoing) return;
-        const state = JSON.parse(JSON.stringify(mockItems));
-        mockHistory.push(state);
-        if (mockHistory.length > Constants.MAX_HISTORY_SIZE) mockHistory.shift();
+        this.commit();
+        mockPendingState = {
+            items: JSON.parse(JSON.stringify(mockItems)),
+            archivedItems: JSON.parse(JSON.stringify(mockArchivedItems))
+        };
+        mockFuture = [];
+    },
+
+    commit() {
+        if (!mockPendingState) return false;
+        const step = HistoryUtils.diff(mockPendingState, { items: mockItems, archivedItems: mockArchivedItems });
+        mockPendingState = null;
+        if (step) {
+            mockHistory.push(step);
+            if (mockHistory.length > Constants.MAX_HISTORY_SIZE) mockHistory.shift();
+        }
+        return true;
+    },
+
+    load(saved) {
+        mockHistory = [];
         mockFuture = [];
+        mockPendingState = null;
+        if (!saved) return;
+        mockHistory = Array.isArray(saved.history) ? saved.history : [];
+        mockFuture = Array.isArray(saved.future) ? saved.future : [];
+    },
+
+    serialize() {
+        this.commit();
+        return { history: mockHistory, future: mockFuture };
     },
 
     popLast() {
-        if (mockHistory.length > 0) {
+        if (mockPendingState) {
+            mockPendingState = null;
+        } else if (mockHistory.length > 0) {
             mockHistory.pop();
         }
     },
 
     undo() {
-        if (mockIsUndoingRedoing || mockHistory.length === 0) return false;
-        
+        if (mockIsUndoingRedoing) return false;
+        this.commit();
+        if (mockHistory.length === 0) return false;
+
         mockIsUndoingRedoing = true;
         try {
-            mockFuture.push(JSON.parse(JSON.stringify(mockItems)));
-            mockItems = mockHistory.pop();
-            this._validateSelection();
+            const step = mockHistory.pop();
+            mockFuture.push(step);
+            this._applyStep(step, true);
             return true;
         } finally {
             mockIsUndoingRedoing = false;
@@ -689,19 +1328,28 @@ const HistoryManager = {
     },
 
     redo() {
-        if (mockIsUndoingRedoing || mockFuture.length === 0) return false;
-        
+        if (mockIsUndoingRedoing) return false;
+        this.commit();
+        if (mockFuture.length === 0) return false;
+
         mockIsUndoingRedoing = true;
         try {
-            mockHistory.push(JSON.parse(JSON.stringify(mockItems)));
-            mockItems = mockFuture.pop();
-            this._validateSelection();
+            const step = mockFuture.pop();
+            mockHistory.push(step);
+            this._applyStep(step, false);
             return true;
         } finally {
             mockIsUndoingRedoing = false;
         }
     },
 
+    _applyStep(step, backwards) {
+        const state = HistoryUtils.apply({ items: mockItems, archivedItems: mockArchivedItems }, step, backwards);
+        mockItems = state.items;
+        mockArchivedItems = state.archivedItems;
+        this._validateSelection();
+    },
+
     _validateSelection() {
         if (mockActiveIndex >= mockItems.length) mockActiveIndex = -1;
         mockSelectedIndices.clear();
@@ -712,7 +1360,7 @@ const HistoryManager = {
     },
 
     canUndo() {
-        return mockHistory.length > 0;
+        return mockHistory.length > 0 || mockPendingState !== null;
     },
 
     canRedo() {
@@ -723,11 +1371,14 @@ const HistoryManager = {
 function resetHistoryMocks() {
     mockHistory = [];
     mockFuture = [];
+    mockPendingState = null;
     mockItems = [];
+    mockArchivedItems = [];
     mockIsUndoingRedoing = false;
     mockActiveIndex = -1;
     mockSelectedIndices = new Set();
     mockAnchorIndex = -1;
+    mockMaxIndent = Constants.INDENT.MAX;
 }
 
 // ============================================================
@@ -736,13 +1387,29 @@ function resetHistoryMocks() {
 const IndentManager = {
     canChangeIndent(item, index, delta, newIndent) {
         if (item.type === 'heading') return false;
-        if (newIndent < Constants.INDENT.PARENT || newIndent > Constants.INDENT.MAX) return false;
+        if (newIndent < Constants.INDENT.PARENT || newIndent > mockMaxIndent) return false;
         
         if (delta > 0) {
             if (index === 0) return false;
             if (mockItems[index - 1].type === 'heading') return false;
+            if (newIndent > mockItems[index - 1].indent + 1) return false;
         }
         
+        return true;
+    },
+
+    shiftSubtree(index, delta) {
+        const item = mockItems[index];
+        const newIndent = item.indent + delta;
+        if (!this.canChangeIndent(item, index, delta, newIndent)) return false;
+
+        const { items: subtree } = ItemUtils.getItemWithChildren(mockItems, index);
+        const deepestIndent = Math.max(...subtree.map(i => i.indent));
+        if (deepestIndent + delta > mockMaxIndent) return false;
+
+        subtree.forEach(i => {
+            i.indent += delta;
+        });
         return true;
     }
 };
@@ -757,14 +1424,20 @@ function testHistoryManagerSave() {
     mockItems = [createTestItem('1', 'todo', 'Task 1', 0)];
     
     HistoryManager.save();
-    assertEqual(mockHistory.length, 1, 'history has 1 entry after save');
+    assertEqual(mockHistory.length, 0, 'no step recorded before anything changed');
+    assertTrue(HistoryManager.canUndo(), 'undo available while a step is in progress');
     assertFalse(HistoryManager.canRedo(), 'future cleared after save');
     
     // Modify and save again
     mockItems[0].title = 'Modified';
     HistoryManager.save();
-    assertEqual(mockHistory.length, 2, 'history has 2 entries after second save');
-    assertEqual(mockHistory[0][0].title, 'Task 1', 'first history entry preserved');
+    assertEqual(mockHistory.length, 1, 'history has 1 step after the change');
+    assertEqual(mockHistory[0].changes['1'][0].title, 'Task 1', 'step keeps the item before the change');
+    assertEqual(mockHistory[0].changes['1'][1].title, 'Modified', 'step keeps the item after the change');
+    
+    // Saving again without a change adds no step
+    HistoryManager.save();
+    assertEqual(mockHistory.length, 1, 'unchanged state adds no step');
 }
 
 function testHistoryManagerUndo() {
@@ -810,11 +1483,14 @@ function testHistoryManagerPopLast() {
     mockItems = [createTestItem('1', 'todo', 'Task 1', 0)];
     
     HistoryManager.save();
+    mockItems.push(createTestItem('2', 'todo', 'Task 2', 0));
     HistoryManager.save();
-    assertEqual(mockHistory.length, 2, 'history has 2 entries');
+    assertEqual(mockHistory.length, 1, 'history has 1 step');
     
+    // Cancelling a new item drops the step in progress
     HistoryManager.popLast();
-    assertEqual(mockHistory.length, 1, 'history has 1 entry after popLast');
+    assertFalse(HistoryManager.canUndo() && mockPendingState !== null, 'step in progress dropped');
+    assertEqual(mockHistory.length, 1, 'recorded steps kept while a step was in progress');
     
     HistoryManager.popLast();
     assertEqual(mockHistory.length, 0, 'history empty after second popLast');
@@ -824,6 +1500,101 @@ function testHistoryManagerPopLast() {
     assertEqual(mockHistory.length, 0, 'no error when popping empty history');
 }
 
+function testHistoryUndoAfterReload() {
+    console.log('\n📋 HistoryManager undo after reload tests:');
+    
+    resetHistoryMocks();
+    mockItems = [
+        createTestItem('1', 'todo', 'Task 1', 0),
+        createTestItem('2', 'todo', 'Task 2', 0)
+    ];
+    
+    HistoryManager.save();
+    mockItems[0].title = 'Renamed';
+    HistoryManager.commit();
+    
+    // The file changes on disk: another task is added and Task 2 is edited
+    mockItems = [
+        createTestItem('3', 'todo', 'Added in editor', 0),
+        Object.assign(createTestItem('1', 'todo', 'Renamed', 0), { priority: 'high' }),
+        createTestItem('2', 'todo', 'Task 2 edited', 0)
+    ];
+    
+    assertTrue(HistoryManager.undo(), 'undo works after a reload');
+    assertEqual(mockItems.map(i => i.title).join(','), 'Added in editor,Task 1,Task 2 edited', 'only the undone change is reverted');
+    assertEqual(mockItems[1].priority, 'high', 'fields changed elsewhere are kept');
+    
+    HistoryManager.redo();
+    assertEqual(mockItems[1].title, 'Renamed', 'redo applies the change again');
+    
+    // Steps survive a round trip through storage (e.g. a window restart)
+    const stored = JSON.parse(JSON.stringify(HistoryManager.serialize()));
+    resetHistoryMocks();
+    mockItems = [
+        createTestItem('3', 'todo', 'Added in editor', 0),
+        createTestItem('1', 'todo', 'Renamed', 0),
+        createTestItem('2', 'todo', 'Task 2 edited', 0)
+    ];
+    HistoryManager.load(stored);
+    assertTrue(HistoryManager.undo(), 'undo works with a loaded history');
+    assertEqual(mockItems[1].title, 'Task 1', 'loaded step is applied by id');
+}
+
+function testHistoryUtilsApply() {
+    console.log('\n📋 HistoryUtils.apply tests:');
+    
+    const before = {
+        items: [createTestItem('1', 'todo', 'A', 0), createTestItem('2', 'todo', 'B', 0), createTestItem('3', 'todo', 'C', 0)],
+        archivedItems: []
+    };
+    
+    // Deleting an item and undoing puts it back after the same neighbour
+    const deleted = { items: [before.items[0], before.items[2]], archivedItems: [] };
+    const deleteStep = HistoryUtils.diff(before, deleted);
+    const external = { items: [createTestItem('4', 'todo', 'New', 0), ...deleted.items], archivedItems: [] };
+    const restored = HistoryUtils.apply(external, deleteStep, true);
+    assertEqual(restored.items.map(i => i.id).join(','), '4,1,2,3', 'deleted item reinserted after its neighbour');
+    
+    // Moving items is undone with the old order, keeping items added since
+    const moved = { items: [before.items[2], before.items[0], before.items[1]], archivedItems: [] };
+    const moveStep = HistoryUtils.diff(before, moved);
+    const movedExternal = { items: [...moved.items, createTestItem('5', 'todo', 'Tail', 0)], archivedItems: [] };
+    const unmoved = HistoryUtils.apply(movedExternal, moveStep, true);
+    assertEqual(unmoved.items.map(i => i.id).join(','), '1,2,5,3', 'order restored, new item kept after its neighbour');
+    
+    // Archiving is undone across both lists
+    const archived = { items: [before.items[0], before.items[1]], archivedItems: [before.items[2]] };
+    const archiveStep = HistoryUtils.diff(before, archived);
+    const unarchived = HistoryUtils.apply(archived, archiveStep, true);
+    assertEqual(unarchived.items.map(i => i.id).join(','), '1,2,3', 'archived item back in the list');
+    assertEqual(unarchived.archivedItems.length, 0, 'archive emptied');
+    
+    // A step for an item deleted elsewhere leaves it deleted
+    const renamed = { items: [Object.assign({}, before.items[0], { title: 'A2' }), before.items[1], before.items[2]], archivedItems: [] };
+    const renameStep = HistoryUtils.diff(before, renamed);
+    const gone = HistoryUtils.apply({ items: [before.items[1], before.items[2]], archivedItems: [] }, renameStep, true);
+    assertEqual(gone.items.map(i => i.id).join(','), '2,3', 'item deleted elsewhere stays deleted');
+    
+    assertEqual(HistoryUtils.diff(before, JSON.parse(JSON.stringify(before))), null, 'no step for an unchanged state');
+}
+
+function testHistoryManagerKeepsIdsOutOfFile() {
+    console.log('\n📋 HistoryManager persistent id tests:');
+    
+    resetHistoryMocks();
+    mockItems = [
+        createTestItem('1', 'todo', 'Same', 0),
+        createTestItem('2', 'todo', 'Same', 0)
+    ];
+    
+    HistoryManager.save();
+    mockItems[1].isChecked = true;
+    HistoryManager.commit();
+    
+    assertFalse(!!mockItems[1].hasPersistentId, 'a task changed by a step gets no persistent id');
+    assertFalse(!!mockHistory[0].changes['2'][1].hasPersistentId, 'nor does its copy in the step');
+}
+
 // ============================================================
 // IndentManager Tests
 // ============================================================
@@ -876,6 +1647,39 @@ function testIndentManagerCanChangeIndent() {
     );
 }
 
+function testIndentManagerShiftSubtree() {
+    console.log('\n📋 IndentManager.shiftSubtree tests:');
+    
+    resetHistoryMocks();
+    mockMaxIndent = 3;
+    mockItems = [
+        createTestItem('1', 'todo', 'Task 1', 0),
+        createTestItem('2', 'todo', 'Task 2', 0),
+        createTestItem('3', 'todo', 'Child', 1),
+        createTestItem('4', 'todo', 'Grandchild', 2),
+        createTestItem('5', 'todo', 'Task 3', 0)
+    ];
+    
+    assertTrue(IndentManager.shiftSubtree(1, 1), 'can indent a task with its subtree');
+    assertEqual(mockItems[1].indent, 1, 'root moved one level');
+    assertEqual(mockItems[2].indent, 2, 'child moved with it');
+    assertEqual(mockItems[3].indent, 3, 'grandchild moved with it');
+    
+    assertFalse(IndentManager.shiftSubtree(1, 1), 'cannot skip a level below the task above');
+    
+    mockItems[1].indent = 0;
+    mockItems[2].indent = 1;
+    mockItems[3].indent = 3;
+    assertFalse(IndentManager.shiftSubtree(1, 1), 'cannot push the deepest descendant past the limit');
+    assertEqual(mockItems[1].indent, 0, 'nothing moves when the limit is hit');
+    
+    assertTrue(IndentManager.shiftSubtree(2, -1), 'can outdent a nested subtree');
+    assertEqual(mockItems[2].indent, 0, 'outdented root');
+    assertEqual(mockItems[3].indent, 2, 'descendant outdented too');
+    
+    mockMaxIndent = Constants.INDENT.MAX;
+}
+
 // ============================================================
 // DeleteManager (copy from main.js for standalone testing)
 // ============================================================
@@ -888,13 +1692,10 @@ const DeleteManager = {
             if (indicesToDelete.has(index)) return;
             
             indicesToDelete.add(index);
-            const item = mockItems[index];
 
-            if (item.indent === Constants.INDENT.PARENT && item.type !== 'heading') {
-                for (let i = index + 1; i < mockItems.length; i++) {
-                    if (mockItems[i].indent === Constants.INDENT.PARENT || mockItems[i].type === 'heading') break;
-                    indicesToDelete.add(i);
-                }
+            const childCount = ItemUtils.getChildCount(mockItems, index);
+            for (let i = index + 1; i <= index + childCount; i++) {
+                indicesToDelete.add(i);
             }
         });
 
@@ -936,6 +1737,11 @@ function testDeleteManagerCollectIndicesToDelete() {
     // Multiple selections
     result = DeleteManager.collectIndicesToDelete(new Set([0, 4]));
     assertEqual(result.size, 4, 'multiple parents with children');
+    
+    // Deleting a nested task takes its whole subtree
+    mockItems[2].indent = 2;
+    result = DeleteManager.collectIndicesToDelete(new Set([1]));
+    assertEqual(result.size, 2, 'nested deletion includes grandchildren');
 }
 
 // ============================================================
@@ -949,6 +1755,8 @@ function runAllTests() {
     testItemUtilsFindArchiveIndex();
     testItemUtilsIsArchiveHeading();
     testItemUtilsGetChildCount();
+    testItemUtilsDeepNesting();
+    testItemUtilsGetNextStatus();
     testItemUtilsGetItemWithChildren();
     testItemUtilsIsParentSelected();
     testItemUtilsCollectItemsToProcess();
@@ -961,10 +1769,27 @@ function runAllTests() {
     testSelectionManagerClearAndSetSingle();
     testSelectionManagerValidate();
     
+    // DueDateUtils tests
+    testDueDateUtilsExtract();
+    testDueDateUtilsState();
+    
+    // LinkUtils tests
+    testLinkUtilsFormat();
+    
+    // TagUtils tests
+    testTagUtilsExtract();
+    testTagUtilsGetHiddenIndices();
+    
+    // PriorityUtils tests
+    testPriorityUtilsGetLevel();
+    testPriorityUtilsSortSection();
+    
     // MoveUtils tests
     testMoveUtilsExpandSelectionWithChildren();
     testMoveUtilsIsContiguous();
     testMoveUtilsGetBlockCount();
+    testMoveUtilsDeepNesting();
+    testMoveUtilsFileHeadings();
     testMoveUtilsCheckMovedIntoArchive();
     
     // HistoryManager tests
@@ -972,9 +1797,13 @@ function runAllTests() {
     testHistoryManagerUndo();
     testHistoryManagerRedo();
     testHistoryManagerPopLast();
+    testHistoryUndoAfterReload();
+    testHistoryUtilsApply();
+    testHistoryManagerKeepsIdsOutOfFile();
     
     // IndentManager tests
     testIndentManagerCanChangeIndent();
+    testIndentManagerShiftSubtree();
     
     // DeleteManager tests
     testDeleteManagerCollectIndicesToDelete();
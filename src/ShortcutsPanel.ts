@@ -81,6 +81,7 @@ export class ShortcutsPanel {
           { action: "Edit item", windows: [editItemKeys], mac: [editItemKeys] },
           { action: "Add new item", windows: [addItemKeys], mac: [addItemKeys] },
           { action: "Toggle checkbox", windows: [["Space"]], mac: [["Space"]] },
+          { action: "Cycle in progress / cancelled / deferred", windows: [["Shift", "Space"]], mac: [["Shift", "Space"]] },
           { action: "Delete item", windows: [["Backspace"], ["Delete"]], mac: [["Backspace"], ["Delete"]] },
         ],
       },
@@ -1,11 +1,71 @@
+import * as path from 'path';
 import * as vscode from "vscode";
-import { parseMarkdown, stringifyItems } from './parser';
+import { createCodeLink, getTitleFromEditor, openCodeLink } from './codeLinks';
+import { resolveFileFormat } from './fileFormat';
+import { diffLines } from './lineDiff';
+import { FileSnapshot, matchItemIds, matchItems, mergeFileStates, takeSnapshot } from './merge';
+import { Item, ItemTodo } from './models';
+import { carryOverPassthrough, DEFAULT_FORMAT, ensurePersistentId, FileFormat, parseMarkdown, ParseResult, stringifyState } from './parser';
+import { findItemAtLine, locateItems } from './selectionSync';
+import { pickSnapshot, SnapshotStore } from './snapshots';
+import { getTaskFiles, TaskFile } from './taskFiles';
+import {
+    HarvestResult,
+    linkTodoComments,
+    reconcileTodoComments,
+    RemovedCommentAction,
+    scanTodoComments,
+    scanTodoCommentsInDocument,
+    ScannedFile
+} from './todoHarvest';
+
+/** workspaceState key of the task file shown last */
+const LAST_FILE_KEY = 'archyTask.lastFile';
+/** File picker key of the aggregated "All Task Files" view */
+const ALL_FILES_KEY = 'archyTask:allFiles';
+/** workspaceState key of the file and heading archyTask.addTask added to last */
+const LAST_ADD_TARGET_KEY = 'archyTask.lastAddTarget';
+/** workspaceState key prefix of a file's undo history (followed by the file picker key) */
+const HISTORY_KEY_PREFIX = 'archyTask.history:';
+
+/** What is kept of an item so a fresh parse can get its id back */
+type ItemRef = Pick<Item, 'id' | 'type' | 'title'> & { source?: string };
+
+/** Undo/redo steps of the webview for one task file (or the aggregate view) */
+interface StoredHistory {
+    history: unknown[];
+    future: unknown[];
+    /** Ids of the items when the steps were taken, in file order, so a fresh parse can get them back */
+    items: ItemRef[];
+    archivedItems: ItemRef[];
+}
+
+/** One task file's state (as last read or written) while all files are shown together */
+interface AggregateFile extends FileSnapshot {
+    file: TaskFile;
+}
+
+/** A state written to a task file */
+interface SaveResult {
+    content: string;
+    state: ParseResult;
+    format: FileFormat;
+    /** Whether changes made to the file since it was last read were merged in */
+    merged: boolean;
+}
+
+const KEEP_SIDEBAR_CHANGES = 'Keep Sidebar Changes';
+const KEEP_FILE_CHANGES = 'Keep File Changes';
 
 export class SidebarProvider implements vscode.WebviewViewProvider {
   _view?: vscode.WebviewView;
   _doc?: vscode.TextDocument;
 
-  constructor(private readonly _extensionUri: vscode.Uri, private readonly _context: vscode.ExtensionContext) {}
+  private readonly _snapshots: SnapshotStore;
+
+  constructor(private readonly _extensionUri: vscode.Uri, private readonly _context: vscode.ExtensionContext) {
+    this._snapshots = new SnapshotStore(_context.storageUri);
+  }
 
 	private _getHtmlForWebview(webview: vscode.Webview) {
 		const styleUri = webview.asWebviewUri(vscode.Uri.joinPath(this._extensionUri, "media", "style.css"));
@@ -38,8 +98,13 @@ export class SidebarProvider implements vscode.WebviewViewProvider {
                     <button id="btn-add-heading" data-tooltip="Add Heading">
                       <i class="codicon codicon-list-flat"></i>
                     </button>
+                    <div id="tag-filter-bar" class="tag-filter-bar" style="display: none;"></div>
                   </div>
                   <div class="header-right">
+                    <span id="save-indicator" class="save-indicator" title="Unsaved changes" style="display: none;">
+                      <i class="codicon codicon-circle-filled"></i>
+                    </span>
+                    <select id="file-picker" class="file-picker" title="Task File" style="display: none;"></select>
                     <button id="btn-open-file" data-tooltip="Open md File">
                       <i class="codicon codicon-go-to-file"></i>
                     </button>
@@ -62,6 +127,16 @@ export class SidebarProvider implements vscode.WebviewViewProvider {
                         <span class="inspector-title">NOTE</span>
                     </div>
                     <div id="inspector-content" class="inspector-content">
+                        <div id="inspector-due-row" class="inspector-due-row">
+                            <i class="codicon codicon-calendar"></i>
+                            <input type="date" id="inspector-due" title="Due date">
+                            <button id="inspector-due-clear" class="inspector-due-clear" title="Clear due date"><i class="codicon codicon-close"></i></button>
+                        </div>
+                        <div id="inspector-link-row" class="inspector-link-row">
+                            <i class="codicon codicon-link"></i>
+                            <button id="inspector-link" class="inspector-link" title="Open linked code"></button>
+                            <button id="inspector-link-clear" class="inspector-due-clear" title="Remove link"><i class="codicon codicon-close"></i></button>
+                        </div>
                         <div id="inspector-note-display" class="inspector-note-display"></div>
                         <textarea id="inspector-note" placeholder="Add a note..." style="display: none;"></textarea>
                     </div>
@@ -74,7 +149,21 @@ export class SidebarProvider implements vscode.WebviewViewProvider {
 
     private _items: any[] = [];
     private _archivedItems: any[] = [];
+    private _preamble: string[] = [];
+    private _archivePreamble: string[] = [];
+    private _archiveHeading: string | undefined;
+    /** The current file as last read or written, the common ancestor when merging */
+    private _base: FileSnapshot | undefined;
     private _debounceTimer: NodeJS.Timeout | undefined;
+    private _files: TaskFile[] = [];
+    private _currentFile: TaskFile | undefined;
+    private _showAll = false;
+    private _aggregate: AggregateFile[] = [];
+    private _watchers: vscode.FileSystemWatcher[] = [];
+    /** Listeners that live as long as the view */
+    private _viewDisposables: vscode.Disposable[] = [];
+    /** fsPaths the watchers were created for, to skip recreating them */
+    private _watchedPaths = '';
 
 	public resolveWebviewView(
 		webviewView: vscode.WebviewView,
@@ -82,6 +171,37 @@ export class SidebarProvider implements vscode.WebviewViewProvider {
 		_token: vscode.CancellationToken
 	) {
 		this._view = webviewView;
+		webviewView.onDidDispose(() => {
+			this._view = undefined;
+			// Edits made just before the view closed still reach the file
+			void this.flush();
+			this.dispose();
+		});
+
+		// Typing in an open task file updates the sidebar without waiting for a save
+		this._viewDisposables.push(
+			vscode.workspace.onDidChangeTextDocument(e => {
+				if (e.contentChanges.length > 0 && this._isShown(e.document.uri)) {
+					this._onFileChanged(e.document.uri);
+				}
+			}),
+			// Settings take effect without reloading the view
+			vscode.workspace.onDidChangeConfiguration(e => this._onConfigurationChanged(e)),
+			// Moving the cursor in a shown task file selects the task in the sidebar
+			vscode.window.onDidChangeTextEditorSelection(e => {
+				// Only the user's own moves; selections set by _revealItem come back as other kinds
+				const byUser = e.kind === vscode.TextEditorSelectionChangeKind.Keyboard || e.kind === vscode.TextEditorSelectionChangeKind.Mouse;
+				if (byUser && this._isShown(e.textEditor.document.uri)) {
+					this._onEditorSelectionChanged(e.textEditor);
+				}
+			}),
+			// Switching to another window saves right away instead of after the debounce
+			vscode.window.onDidChangeWindowState(state => {
+				if (!state.focused) {
+					void this.flush();
+				}
+			})
+		);
 
 		webviewView.webview.options = {
 			enableScripts: true,
@@ -95,12 +215,26 @@ export class SidebarProvider implements vscode.WebviewViewProvider {
         webviewView.webview.onDidReceiveMessage(async (data) => {
             switch (data.type) {
                 case "ready": {
+                    // A reloaded webview still knows the ids it showed before
+                    if (this._items.length === 0 && Array.isArray(data.items)) {
+                        this._items = data.items;
+                        this._archivedItems = data.archivedItems || [];
+                    }
                     await this._loadFromFile();
                     break;
                 }
                 case "updateItems": {
+                    const previousItems = [...this._items, ...this._archivedItems];
                     this._items = data.items;
                     this._archivedItems = data.archivedItems || [];
+                    if (data.history) {
+                        this._storeHistory(data.history);
+                    }
+                    // Don't lose unrecognized markdown that belonged to deleted items
+                    // (the aggregate view does this per file when saving)
+                    if (!this._showAll) {
+                        carryOverPassthrough(previousItems, [...this._items, ...this._archivedItems], this._preamble);
+                    }
                     this._triggerSave();
                     break;
                 }
@@ -109,22 +243,38 @@ export class SidebarProvider implements vscode.WebviewViewProvider {
                     break;
                 }
                 case "openFile": {
-                    if (vscode.workspace.workspaceFolders) {
-                        const workspaceRoot = vscode.workspace.workspaceFolders[0].uri;
-                        const config = vscode.workspace.getConfiguration('archyTask');
-                        const filePath = config.get<string>('filePath') || 'archytask.md';
-                        const fileUri = this._resolveFilePath(workspaceRoot, filePath);
+                    // In the aggregate view, open the file of the selected task
+                    const source = this._files.find(f => f.key === data.source);
+                    const fileUri = source?.uri ?? this.currentFileUri;
+                    if (fileUri) {
                         try {
                             // Ensure file exists, create if not
                             await this._ensureFileExists(fileUri);
                             const doc = await vscode.workspace.openTextDocument(fileUri);
                             await vscode.window.showTextDocument(doc);
                         } catch (e) {
-                            vscode.window.showErrorMessage(`Could not open ${filePath}`);
+                            vscode.window.showErrorMessage(`Could not open ${vscode.workspace.asRelativePath(fileUri)}`);
                         }
                     }
                     break;
                 }
+                case "openLink": {
+                    // Links are relative to the task file they were read from
+                    const source = this._files.find(f => f.key === data.source);
+                    const fileUri = source?.uri ?? this.currentFileUri;
+                    if (fileUri && data.link) {
+                        await openCodeLink(fileUri, data.link);
+                    }
+                    break;
+                }
+                case "activeItemChanged": {
+                    await this._revealItem(data.id);
+                    break;
+                }
+                case "selectFile": {
+                    await this._selectFile(data.key);
+                    break;
+                }
                 case "info": {
                     vscode.window.showInformationMessage(data.value);
                     break;
@@ -188,23 +338,28 @@ export class SidebarProvider implements vscode.WebviewViewProvider {
             return;
         }
 
-        const workspaceRoot = vscode.workspace.workspaceFolders[0].uri;
-        const config = vscode.workspace.getConfiguration('archyTask');
-        const filePath = config.get<string>('filePath') || 'archytask.md';
-        const fileUri = this._resolveFilePath(workspaceRoot, filePath);
+        await this._refreshFiles();
+        this._sendFiles();
+        if (this._showAll) {
+            await this._loadAll();
+            this._sendSettings();
+            this._checkDonationBanner();
+            return;
+        }
+        if (!this._currentFile) {
+            // A glob that matches nothing leaves nothing to show
+            this._items = [];
+            this._archivedItems = [];
+            this._view?.webview.postMessage({ type: "update", items: [], archivedItems: [] });
+            this._sendSettings();
+            return;
+        }
+        const fileUri = this._currentFile.uri;
+        const filePath = vscode.workspace.asRelativePath(fileUri);
 
         try {
-            const fileData = await vscode.workspace.fs.readFile(fileUri);
-            const content = Buffer.from(fileData).toString('utf8');
-            const { items, archivedItems } = parseMarkdown(content);
-            this._items = items;
-            this._archivedItems = archivedItems;
-            
-            this._view?.webview.postMessage({
-                type: "update",
-                items: items,
-                archivedItems: archivedItems
-            });
+            const content = await this._readFile(fileUri);
+            this._applyContent(content, await resolveFileFormat(fileUri, content));
 
             this._sendSettings();
             this._checkDonationBanner();
@@ -216,22 +371,16 @@ export class SidebarProvider implements vscode.WebviewViewProvider {
             try {
                 await this._ensureFileExists(fileUri);
                 // Now load the newly created file
-                const fileData = await vscode.workspace.fs.readFile(fileUri);
-                const content = Buffer.from(fileData).toString('utf8');
-                const { items, archivedItems } = parseMarkdown(content);
-                this._items = items;
-                this._archivedItems = archivedItems;
-                
-                this._view?.webview.postMessage({
-                    type: "update",
-                    items: items,
-                    archivedItems: archivedItems
-                });
+                const content = await this._readFile(fileUri);
+                this._applyContent(content, await resolveFileFormat(fileUri, content));
             } catch (createError) {
                 // Failed to create file with default content, use empty
                 console.log(`Failed to create file with default content: ${createError}`);
                 this._items = [];
                 this._archivedItems = [];
+                this._preamble = [];
+                this._archivePreamble = [];
+                this._archiveHeading = undefined;
                 this._view?.webview.postMessage({
                     type: "update",
                     items: [],
@@ -244,17 +393,695 @@ export class SidebarProvider implements vscode.WebviewViewProvider {
         }
     }
 
+    /**
+     * Parse file content into the current state and send it to the webview.
+     * Items that existed before the reload keep their ids (matched by title and position).
+     * @param {string} content - Markdown content of the task file
+     * @param {FileFormat} format - Format of the file
+     */
+    private _applyContent(content: string, format: FileFormat) {
+        const state = parseMarkdown(content, format);
+        // After a restart, the ids come from the items the stored undo history refers to
+        const stored = this._items.length > 0 || this._archivedItems.length > 0 ? undefined : this._loadHistory();
+        const previousItems = stored ? [...stored.items, ...stored.archivedItems] : [...this._items, ...this._archivedItems];
+        matchItems(previousItems, [...state.items, ...state.archivedItems]);
+        this._base = takeSnapshot(content, state, format);
+        this._applyState(state);
+    }
+
+    /**
+     * Make a state the current one and send it to the webview
+     * @param {ParseResult} state - Items and preambles to show
+     */
+    private _applyState(state: ParseResult) {
+        this._items = state.items;
+        this._archivedItems = state.archivedItems;
+        this._preamble = state.preamble;
+        this._archivePreamble = state.archivePreamble;
+        this._archiveHeading = state.archiveHeading;
+
+        this._view?.webview.postMessage({
+            type: "update",
+            items: state.items,
+            archivedItems: state.archivedItems
+        });
+    }
+
     private _triggerSave() {
         if (this._debounceTimer) {
             clearTimeout(this._debounceTimer);
         }
         this._debounceTimer = setTimeout(async () => {
-            await this._saveToFile();
+            this._debounceTimer = undefined;
+            await this._save();
         }, 1000);
+        this._sendSaveState();
+    }
+
+    /**
+     * Save pending sidebar edits now instead of waiting for the debounce
+     * @returns {Promise<boolean>} True if there were edits to save
+     */
+    private async _flushSave(): Promise<boolean> {
+        if (!this._debounceTimer) return false;
+        clearTimeout(this._debounceTimer);
+        this._debounceTimer = undefined;
+        await this._save();
+        return true;
+    }
+
+    /**
+     * Write pending sidebar edits and undo history, and wait for writes already running.
+     * Called when the view closes, the window loses focus and the extension deactivates.
+     */
+    public async flush(): Promise<void> {
+        this._flushing++;
+        try {
+            await this._flushHistory();
+            await this._flushSave();
+            while (this._saving) {
+                await this._saving;
+            }
+        } finally {
+            this._flushing--;
+        }
+    }
+
+    /**
+     * Run _saveToFile, tracked so flush() can wait for it and the webview can show it
+     */
+    private async _save() {
+        // One save at a time; the state saved is the latest either way
+        while (this._saving) {
+            await this._saving;
+        }
+        this._saving = this._saveToFile().finally(() => {
+            this._saving = undefined;
+            this._sendSaveState();
+        });
+        this._sendSaveState();
+        await this._saving;
+    }
+
+    /**
+     * Show the unsaved indicator in the webview while edits are not written yet
+     */
+    private _sendSaveState() {
+        const pending = this._debounceTimer !== undefined || this._saving !== undefined;
+        if (pending === this._sentSavePending) return;
+        this._sentSavePending = pending;
+        this._view?.webview.postMessage({ type: "saveState", pending });
     }
 
     private _ignoreNextChange = false;
     private _refreshDebounceTimer: NodeJS.Timeout | undefined;
+    private _selectionSyncTimer: NodeJS.Timeout | undefined;
+    /** Save running right now */
+    private _saving: Promise<void> | undefined;
+    /** Whether the webview currently shows the unsaved indicator */
+    private _sentSavePending = false;
+    /** Undo history not written to workspaceState yet, and the key it goes under */
+    private _pendingHistory: { key: string; stored: StoredHistory } | undefined;
+    private _historyTimer: NodeJS.Timeout | undefined;
+    /** Flushes running; saves made for them must not wait for the user (the window may be closing) */
+    private _flushing = 0;
+
+    /**
+     * URI of the task file the sidebar currently shows
+     */
+    public get currentFileUri(): vscode.Uri | undefined {
+        return this._showAll ? this._files[0]?.uri : this._currentFile?.uri;
+    }
+
+    public dispose() {
+        this._disposeWatchers();
+        this._viewDisposables.forEach(disposable => disposable.dispose());
+        this._viewDisposables = [];
+    }
+
+    /**
+     * Check whether the sidebar shows a file (the current one, or any in the aggregate view)
+     * @param {vscode.Uri} uri - File URI
+     * @returns {boolean}
+     */
+    private _isShown(uri: vscode.Uri): boolean {
+        if (this._showAll) {
+            return this._aggregate.some(entry => entry.file.key === uri.toString());
+        }
+        return this._currentFile?.key === uri.toString();
+    }
+
+    /**
+     * Sidebar items that belong to a shown file (all of them unless all files are shown)
+     * @param {string} key - File key
+     */
+    private _itemsOf(key: string): { items: Item[]; archivedItems: Item[] } {
+        if (!this._showAll) {
+            return { items: this._items, archivedItems: this._archivedItems };
+        }
+        const inFile = (item: Item & { source?: string; locked?: boolean }) => item.source === key && !item.locked;
+        return { items: this._items.filter(inFile), archivedItems: this._archivedItems.filter(inFile) };
+    }
+
+    /**
+     * Reveal the line of the task selected in the sidebar in an editor that shows its file
+     * @param {string} id - Id of the active sidebar item
+     */
+    private async _revealItem(id: string) {
+        if (!vscode.workspace.getConfiguration('archyTask').get<boolean>('syncSelection', true)) return;
+        const item = [...this._items, ...this._archivedItems].find(i => i.id === id);
+        const key = this._showAll ? item?.source : this._currentFile?.key;
+        const editor = vscode.window.visibleTextEditors.find(e => e.document.uri.toString() === key);
+        if (!item || !key || !editor) return;
+
+        const { items, archivedItems } = this._itemsOf(key);
+        const lines = (await locateItems(editor.document, items, archivedItems)).get(id);
+        if (!lines) return;
+        const cursorLine = editor.selection.active.line;
+        if (cursorLine >= lines.start && cursorLine <= lines.end) return;
+
+        editor.selection = new vscode.Selection(lines.start, 0, lines.start, 0);
+        editor.revealRange(new vscode.Range(lines.start, 0, lines.end, 0), vscode.TextEditorRevealType.InCenterIfOutsideViewport);
+    }
+
+    /**
+     * Select the task under the editor's cursor in the sidebar
+     * @param {vscode.TextEditor} editor - Editor showing a shown task file
+     */
+    private _onEditorSelectionChanged(editor: vscode.TextEditor) {
+        if (this._selectionSyncTimer) {
+            clearTimeout(this._selectionSyncTimer);
+        }
+        // Cursor moves come in bursts (holding an arrow key); only the last one matters
+        this._selectionSyncTimer = setTimeout(async () => {
+            this._selectionSyncTimer = undefined;
+            if (!vscode.workspace.getConfiguration('archyTask').get<boolean>('syncSelection', true)) return;
+            const { items, archivedItems } = this._itemsOf(editor.document.uri.toString());
+            const id = findItemAtLine(await locateItems(editor.document, items, archivedItems), editor.selection.active.line);
+            if (id) {
+                this._view?.webview.postMessage({ type: "selectItemById", id });
+            }
+        }, 100);
+    }
+
+    /**
+     * Content the sidebar last read from or wrote to a shown file
+     * @param {vscode.Uri} uri - File URI
+     * @returns {string | undefined} Known content, or undefined if the file isn't loaded
+     */
+    private _knownContent(uri: vscode.Uri): string | undefined {
+        if (this._showAll) {
+            return this._aggregate.find(entry => entry.file.key === uri.toString())?.content;
+        }
+        return this._base?.content;
+    }
+
+    /**
+     * Reload after a shown file changed, unless it holds what the sidebar already knows
+     * (such as the sidebar's own edit arriving back from the editor)
+     * @param {vscode.Uri} uri - Changed file
+     */
+    private async _onFileChanged(uri: vscode.Uri) {
+        let content: string | undefined;
+        try {
+            content = await this._readFile(uri);
+        } catch {
+            content = undefined;
+        }
+        if (content !== undefined && content === this._knownContent(uri)) return;
+        this.refresh();
+    }
+
+    /**
+     * Re-read the task file list, keeping the current file if it still exists.
+     * Otherwise the file used last time in this workspace is picked, then the first one.
+     */
+    private async _refreshFiles() {
+        this._files = await getTaskFiles();
+        const wantedKey = this._showAll
+            ? ALL_FILES_KEY
+            : this._currentFile?.key ?? this._context.workspaceState.get<string>(LAST_FILE_KEY);
+        // The aggregate view only makes sense with more than one file
+        this._showAll = wantedKey === ALL_FILES_KEY && this._files.length > 1;
+        this._currentFile = this._files.find(f => f.key === wantedKey) ?? this._files[0];
+        this._watchFiles();
+    }
+
+    /**
+     * Watch the task files the sidebar shows, and nothing else.
+     * Watchers run as long as the view exists (not only while a file is open in an editor),
+     * so checkouts and scripts that rewrite a file are picked up; absolute paths outside
+     * the workspace are watched too.
+     */
+    private _watchFiles() {
+        const shown = this._showAll ? this._files : this._currentFile ? [this._currentFile] : [];
+        const uris = this._view ? shown.map(f => f.uri) : [];
+        const paths = uris.map(uri => uri.fsPath).join('\n');
+        if (paths === this._watchedPaths) return;
+
+        this._disposeWatchers();
+        this._watchedPaths = paths;
+        for (const uri of uris) {
+            const pattern = new vscode.RelativePattern(vscode.Uri.joinPath(uri, '..'), path.posix.basename(uri.path));
+            const watcher = vscode.workspace.createFileSystemWatcher(pattern);
+            watcher.onDidChange(() => this._onFileChanged(uri));
+            watcher.onDidCreate(() => this._onFileChanged(uri));
+            watcher.onDidDelete(() => this._onFileChanged(uri));
+            this._watchers.push(watcher);
+        }
+    }
+
+    private _disposeWatchers() {
+        this._watchers.forEach(watcher => watcher.dispose());
+        this._watchers = [];
+        this._watchedPaths = '';
+    }
+
+    /**
+     * Send the file switcher entries to the webview
+     */
+    private _sendFiles() {
+        const files = this._files.map(f => ({ key: f.key, label: f.label }));
+        if (files.length > 1) {
+            files.unshift({ key: ALL_FILES_KEY, label: 'All Task Files' });
+        }
+        const history = this._loadHistory();
+        this._view?.webview.postMessage({
+            type: "files",
+            files: files,
+            current: this._historyKey,
+            history: history ? { history: history.history, future: history.future } : undefined
+        });
+    }
+
+    /** File picker key of what the sidebar shows, which its undo history is stored under */
+    private get _historyKey(): string | undefined {
+        return this._showAll ? ALL_FILES_KEY : this._currentFile?.key;
+    }
+
+    /**
+     * Read the stored undo history of the shown file
+     * @returns {StoredHistory | undefined} Stored history, if any
+     */
+    private _loadHistory(): StoredHistory | undefined {
+        const key = this._historyKey;
+        if (!key) return undefined;
+        if (this._pendingHistory?.key === key) return this._pendingHistory.stored;
+        return this._context.workspaceState.get<StoredHistory>(HISTORY_KEY_PREFIX + key);
+    }
+
+    /**
+     * Store the webview's undo history of the shown file, with the ids of its items.
+     * Written after a pause in edits, or when the sidebar flushes.
+     * @param history - Undo and redo steps from the webview
+     */
+    private _storeHistory(history: { history: unknown[]; future: unknown[] }) {
+        const key = this._historyKey;
+        if (!key) return;
+        const toRef = (item: Item): ItemRef => ({ id: item.id, type: item.type, title: item.title, source: (item as ItemRef).source });
+        this._pendingHistory = {
+            key,
+            stored: {
+                history: history.history,
+                future: history.future,
+                // File headings of the aggregate view are not in any file
+                items: this._items.filter(item => !(item as Item & { locked?: boolean }).locked).map(toRef),
+                archivedItems: this._archivedItems.map(toRef)
+            }
+        };
+        if (this._historyTimer) {
+            clearTimeout(this._historyTimer);
+        }
+        this._historyTimer = setTimeout(() => void this._flushHistory(), 2000);
+    }
+
+    /**
+     * Write the undo history waiting for _storeHistory's pause now
+     */
+    private async _flushHistory(): Promise<void> {
+        clearTimeout(this._historyTimer);
+        this._historyTimer = undefined;
+        const pending = this._pendingHistory;
+        if (!pending) return;
+        this._pendingHistory = undefined;
+        try {
+            await this._context.workspaceState.update(HISTORY_KEY_PREFIX + pending.key, pending.stored);
+        } catch (e) {
+            console.log(`Failed to store the undo history: ${e}`);
+        }
+    }
+
+    /**
+     * Switch the sidebar to another task file
+     * @param {string} key - Key of the file to show
+     */
+    private async _selectFile(key: string) {
+        const showAll = key === ALL_FILES_KEY;
+        const file = showAll ? this._currentFile : this._files.find(f => f.key === key);
+        if (!file || (showAll === this._showAll && file.key === this._currentFile?.key)) return;
+
+        // Write pending edits to the file they belong to before switching
+        await this._flushSave();
+
+        this._showAll = showAll;
+        this._currentFile = file;
+        await this._context.workspaceState.update(LAST_FILE_KEY, key);
+        this._resetFileState();
+        await this._loadFromFile();
+    }
+
+    /**
+     * Forget the state of the file shown before, so nothing of it is merged into the next one
+     */
+    private _resetFileState() {
+        this._aggregate = [];
+        this._base = undefined;
+        this._items = [];
+        this._archivedItems = [];
+        this._preamble = [];
+        this._archivePreamble = [];
+        this._archiveHeading = undefined;
+    }
+
+    /**
+     * Apply changed settings: keyboard settings go to the webview right away, and a new
+     * `archyTask.filePath` switches the sidebar to the files it resolves to
+     * @param {vscode.ConfigurationChangeEvent} e - Configuration change
+     */
+    private async _onConfigurationChanged(e: vscode.ConfigurationChangeEvent) {
+        if (['taskMoveModifier', 'newItemTrigger', 'maxNestingDepth'].some(name => e.affectsConfiguration(`archyTask.${name}`))) {
+            this._sendSettings();
+        }
+        if (!e.affectsConfiguration('archyTask.filePath')) return;
+
+        // Pending edits still belong to the file shown before the change
+        await this._flushSave();
+        const previousKey = this._historyKey;
+        await this._refreshFiles();
+        if (this._historyKey !== previousKey) {
+            this._resetFileState();
+        }
+        await this._loadFromFile();
+    }
+
+    /**
+     * Keep a copy of a task file for "Restore Tasks from Snapshot…"
+     * @param {vscode.Uri} fileUri - Task file
+     * @param {string} content - Content written, or about to be overwritten
+     */
+    private _recordSnapshot(fileUri: vscode.Uri, content: string) {
+        this._snapshots.record(fileUri, content).catch(e => {
+            console.log(`Failed to store a snapshot of ${vscode.workspace.asRelativePath(fileUri)}: ${e}`);
+        });
+    }
+
+    /**
+     * Pick a snapshot of a shown task file and write it back to the file
+     */
+    public async restoreSnapshot() {
+        const files = this._showAll ? this._aggregate.map(entry => entry.file) : this._currentFile ? [this._currentFile] : [];
+        let file: TaskFile | undefined = files[0];
+        if (files.length > 1) {
+            const picked = await vscode.window.showQuickPick(
+                files.map(f => ({ label: f.label, file: f })),
+                { placeHolder: 'Select the task file to restore' }
+            );
+            file = picked?.file;
+        }
+        if (!file) return;
+
+        const snapshot = await pickSnapshot(this._snapshots, file);
+        if (!snapshot) return;
+
+        // Pending sidebar edits are saved first, so they are in a snapshot too
+        await this._flushSave();
+
+        const content = await this._snapshots.read(snapshot);
+        const format = await resolveFileFormat(file.uri, content);
+        if (!await this._writeFile(file.uri, content, format.bom)) return;
+        await this._loadFromFile();
+        vscode.window.showInformationMessage(`Restored ${file.label} from ${new Date(snapshot.time).toLocaleString()}`);
+    }
+
+    /**
+     * Add a task from anywhere (archyTask.addTask): ask for its title, then for the heading to add it under.
+     * Works without the sidebar; the file is read, changed and written like a sidebar save.
+     */
+    public async addTask() {
+        const files = await this._getTargetFiles();
+        if (!files) return;
+
+        const title = (await vscode.window.showInputBox({
+            title: 'Add ArchyTask',
+            prompt: 'Task title (#tags and due:YYYY-MM-DD can be included)',
+            placeHolder: 'New task'
+        }))?.trim();
+        if (!title) return;
+
+        await this._addTaskTo(files, title);
+    }
+
+    /**
+     * Add a task from an editor (archyTask.addSelectionAsTask), titled with the selected text
+     * or the function at the cursor, with a link back to that line
+     * @param {vscode.TextEditor} editor - Editor the command was run in
+     */
+    public async addSelectionAsTask(editor: vscode.TextEditor) {
+        const title = await getTitleFromEditor(editor);
+        if (!title) {
+            vscode.window.showInformationMessage('Select some text or place the cursor in a function to add it as a task');
+            return;
+        }
+        const files = await this._getTargetFiles();
+        if (!files) return;
+
+        const origin = { uri: editor.document.uri, line: editor.selection.start.line };
+        await this._addTaskTo(files, title, origin);
+    }
+
+    /**
+     * Files a new task can be added to: the shown file, or all of them in the aggregate view
+     * @returns {Promise<TaskFile[] | undefined>} The files, or undefined (after telling the user) if there are none
+     */
+    private async _getTargetFiles(): Promise<TaskFile[] | undefined> {
+        if (this._files.length === 0) {
+            await this._refreshFiles();
+        }
+        const files = this._showAll ? this._files : this._currentFile ? [this._currentFile] : [];
+        if (files.length === 0) {
+            vscode.window.showInformationMessage('Open a folder to add tasks to its task file');
+            return undefined;
+        }
+        return files;
+    }
+
+    /**
+     * Ask for the heading, then write the task to its file like a sidebar save
+     * @param {TaskFile[]} files - Files to choose from
+     * @param {string} title - Task title as typed (tags, due dates and priorities are read from it)
+     * @param origin - Editor location the task links back to, if any
+     */
+    private async _addTaskTo(files: TaskFile[], title: string, origin?: { uri: vscode.Uri; line: number }) {
+        const target = await this._pickTaskTarget(files);
+        if (!target) return;
+
+        // Parsed like a line of the file, so tags, due dates and priorities are read
+        const task = parseMarkdown(`- [ ] ${title}`).items[0] as ItemTodo;
+        if (origin) {
+            task.link = createCodeLink(target.file.uri, origin.uri, origin.line);
+            // The code the task came from is worth a stable reference
+            ensurePersistentId(task);
+        }
+        const saved = await this._changeFile(target.file, state => {
+            const heading = target.heading === undefined
+                ? -1
+                : state.items.findIndex(item => item.type === 'heading' && item.title === target.heading);
+            state.items.splice(this._sectionEnd(state.items, heading), 0, task);
+        });
+        if (!saved) return;
+        await this._context.workspaceState.update(LAST_ADD_TARGET_KEY, `${target.file.key}\u0000${target.heading ?? ''}`);
+        vscode.window.setStatusBarMessage(`Added "${task.title}" to ${target.heading ?? target.file.label}`, 3000);
+    }
+
+    /**
+     * Change a task file outside the sidebar: read it (creating it if needed), change the parsed
+     * state and write it like a sidebar save, then show the result if the file is shown
+     * @param {TaskFile} file - Task file
+     * @param change - Edits the parsed state in place; returning false leaves the file as it is
+     * @returns {Promise<boolean>} Whether the file was written
+     */
+    private async _changeFile(file: TaskFile, change: (state: ParseResult) => boolean | void): Promise<boolean> {
+        // The file must include edits the sidebar hasn't written yet
+        await this.flush();
+        let content: string;
+        try {
+            content = await this._readFile(file.uri);
+        } catch {
+            await this._ensureFileExists(file.uri);
+            content = await this._readFile(file.uri);
+        }
+        const format = await resolveFileFormat(file.uri, content);
+        const state = parseMarkdown(content, format);
+        const base = takeSnapshot(content, state, format);
+        if (change(state) === false) return false;
+
+        if (!await this._saveMerged(file.uri, base, state)) return false;
+        if (this._view && this._isShown(file.uri)) {
+            await this._loadFromFile();
+        }
+        return true;
+    }
+
+    /**
+     * Collect the TODO, FIXME and HACK comments of the workspace (archyTask.harvestTodoComments)
+     * under the `archyTask.todoComments.heading` heading of each folder's first task file
+     */
+    public async harvestTodoComments() {
+        await this._refreshFiles();
+        const folders = (vscode.workspace.workspaceFolders ?? []).filter(folder => this._harvestTarget(folder));
+        if (folders.length === 0) {
+            vscode.window.showInformationMessage('Open a folder to collect its TODO comments');
+            return;
+        }
+
+        const totals: HarvestResult = { added: 0, updated: 0, removed: 0 };
+        try {
+            await vscode.window.withProgress(
+                { location: vscode.ProgressLocation.Notification, title: 'Collecting TODO comments…' },
+                async () => {
+                    for (const folder of folders) {
+                        const scanned = await scanTodoComments(folder);
+                        // Only files that were read can have lost a comment; skipped and unreadable ones are left alone
+                        const read = new Set(scanned.map(file => file.uri.toString()));
+                        const result = await this._harvestInto(folder, scanned, uri => read.has(uri.toString()));
+                        if (!result) continue;
+                        totals.added += result.added;
+                        totals.updated += result.updated;
+                        totals.removed += result.removed;
+                    }
+                }
+            );
+        } catch (e) {
+            this._showHarvestError(e);
+            return;
+        }
+        vscode.window.showInformationMessage(
+            `TODO comments: ${totals.added} added, ${totals.updated} updated, ${totals.removed} removed from the code`
+        );
+    }
+
+    /**
+     * Collect the TODO comments of a saved file when `archyTask.todoComments.scanOnSave` is on
+     * @param {vscode.TextDocument} document - Saved document
+     */
+    public async harvestTodoCommentsOnSave(document: vscode.TextDocument) {
+        const folder = vscode.workspace.getWorkspaceFolder(document.uri);
+        if (!folder || !vscode.workspace.getConfiguration('archyTask', folder.uri).get<boolean>('todoComments.scanOnSave')) return;
+        try {
+            if (this._files.length === 0) {
+                await this._refreshFiles();
+            }
+            if (this._files.some(file => file.key === document.uri.toString())) return;
+            if (!this._harvestTarget(folder)) return;
+
+            const scanned = await scanTodoCommentsInDocument(folder, document);
+            if (!scanned) return;
+            await this._harvestInto(folder, [scanned], uri => uri.toString() === document.uri.toString());
+        } catch (e) {
+            this._showHarvestError(e);
+        }
+    }
+
+    /**
+     * Report a failed TODO comment harvest (a search, read or write that threw)
+     */
+    private _showHarvestError(e: unknown) {
+        vscode.window.showErrorMessage(`Failed to collect TODO comments: ${e instanceof Error ? e.message : e}`);
+    }
+
+    /**
+     * Task file a folder's TODO comments go to: the first one configured for it
+     */
+    private _harvestTarget(folder: vscode.WorkspaceFolder): TaskFile | undefined {
+        return this._files.find(file => file.folder.uri.toString() === folder.uri.toString());
+    }
+
+    /**
+     * Reconcile scanned comments with a folder's task file and write it if anything changed
+     * @param {vscode.WorkspaceFolder} folder - Scanned folder
+     * @param {ScannedFile[]} scanned - Scanned files
+     * @param isScanned - Whether a linked file was among the scanned ones
+     * @returns {Promise<HarvestResult | undefined>} What changed, or undefined if the file could not be written
+     */
+    private async _harvestInto(folder: vscode.WorkspaceFolder, scanned: ScannedFile[], isScanned: (uri: vscode.Uri) => boolean): Promise<HarvestResult | undefined> {
+        const target = this._harvestTarget(folder);
+        if (!target) return undefined;
+        const config = vscode.workspace.getConfiguration('archyTask', folder.uri);
+        const heading = config.get<string>('todoComments.heading')?.trim() || 'Inbox';
+        const whenRemoved = config.get<RemovedCommentAction>('todoComments.whenRemoved') ?? 'complete';
+
+        let result: HarvestResult = { added: 0, updated: 0, removed: 0 };
+        const saved = await this._changeFile(target, state => {
+            result = reconcileTodoComments(
+                state,
+                heading,
+                linkTodoComments(target.uri, scanned),
+                link => isScanned(vscode.Uri.joinPath(target.uri, '..', link.path)),
+                whenRemoved
+            );
+            return result.added + result.updated + result.removed > 0;
+        });
+        // Nothing to change is not a failure
+        return saved || result.added + result.updated + result.removed === 0 ? result : undefined;
+    }
+
+    /**
+     * Ask which heading a new task goes under (skipped when there is only one choice)
+     * @param {TaskFile[]} files - Files to offer the headings of
+     * @returns The file and heading title (undefined for the tasks above the first heading)
+     */
+    private async _pickTaskTarget(files: TaskFile[]): Promise<{ file: TaskFile; heading: string | undefined } | undefined> {
+        type TargetPick = vscode.QuickPickItem & { file: TaskFile; heading: string | undefined };
+        const picks: TargetPick[] = [];
+        for (const file of files) {
+            let items: Item[] = [];
+            try {
+                items = parseMarkdown(await this._readFile(file.uri)).items;
+            } catch {
+                // A missing file is created with the task
+            }
+            const description = files.length > 1 ? file.label : undefined;
+            if (items.length === 0 || items[0].type !== 'heading') {
+                picks.push({ label: '$(list-unordered) Top of the list', description, file, heading: undefined });
+            }
+            items.filter(item => item.type === 'heading').forEach(item => {
+                picks.push({ label: item.title, description, file, heading: item.title });
+            });
+        }
+        if (picks.length === 1) return picks[0];
+
+        // The heading used last time comes first
+        const last = this._context.workspaceState.get<string>(LAST_ADD_TARGET_KEY);
+        const lastIndex = picks.findIndex(pick => `${pick.file.key}\u0000${pick.heading ?? ''}` === last);
+        if (lastIndex > 0) {
+            picks.unshift(...picks.splice(lastIndex, 1));
+        }
+        return vscode.window.showQuickPick(picks, { title: 'Add ArchyTask', placeHolder: 'Heading to add the task under' });
+    }
+
+    /**
+     * Index after the last item of a heading's section
+     * @param {Item[]} items - Items of a file
+     * @param {number} heading - Index of the heading, or -1 for the items above the first heading
+     */
+    private _sectionEnd(items: Item[], heading: number): number {
+        const next = items.findIndex((item, i) => i > heading && item.type === 'heading');
+        return next === -1 ? items.length : next;
+    }
+
+    public sortByPriority() {
+        this._view?.webview.postMessage({ type: 'sortByPriority' });
+    }
 
     public async refresh() {
         if (this._refreshDebounceTimer) {
@@ -266,26 +1093,300 @@ export class SidebarProvider implements vscode.WebviewViewProvider {
                 this._ignoreNextChange = false;
                 return;
             }
+            // Unsaved sidebar edits are merged with the file instead of being discarded
+            if (await this._flushSave()) return;
             await this._loadFromFile();
         }, 100); // Small debounce to coalesce multiple events (edit + save)
     }
 
+    /**
+     * Load every task file for the aggregate view.
+     * Tasks are grouped under a locked heading per file and remember the file they came from.
+     */
+    private async _loadAll() {
+        const previous = new Map(this._aggregate.map(entry => [entry.file.key, entry]));
+        const aggregate: AggregateFile[] = [];
+        // After a restart, the ids come from the items the stored undo history refers to
+        const stored = this._aggregate.length === 0 ? this._loadHistory() : undefined;
+        const storedItems = stored ? [...stored.items, ...stored.archivedItems] : [];
+
+        for (const file of this._files) {
+            let content: string;
+            try {
+                content = await this._readFile(file.uri);
+            } catch {
+                // Missing files are not created just to be listed
+                continue;
+            }
+            const format = await resolveFileFormat(file.uri, content);
+            const parsed = parseMarkdown(content, format);
+            const before = previous.get(file.key);
+            const previousItems = before
+                ? [...before.items, ...before.archivedItems]
+                : storedItems.filter(item => item.source === file.key);
+            matchItems(previousItems, [...parsed.items, ...parsed.archivedItems]);
+            aggregate.push({ file, ...takeSnapshot(content, parsed, format) });
+        }
+        this._aggregate = aggregate;
+        this._sendAggregate();
+    }
+
+    /**
+     * Send the aggregate view to the webview, with a locked heading per file
+     */
+    private _sendAggregate() {
+        this._items = [];
+        this._archivedItems = [];
+        for (const entry of this._aggregate) {
+            this._items.push({
+                id: `file:${entry.file.key}`,
+                type: 'heading',
+                title: entry.file.label,
+                indent: 0,
+                note: '',
+                locked: true,
+                source: entry.file.key
+            });
+            entry.items.forEach(item => this._items.push({ ...item, source: entry.file.key }));
+            entry.archivedItems.forEach(item => this._archivedItems.push({ ...item, source: entry.file.key }));
+        }
+
+        this._view?.webview.postMessage({
+            type: "update",
+            items: this._items,
+            archivedItems: this._archivedItems
+        });
+    }
+
+    /**
+     * Write the aggregate view back to its files.
+     * A task belongs to the file whose heading it sits under; archived tasks keep their file.
+     * Only files whose content changed are written, each merged with changes made on disk.
+     */
+    private async _saveAll() {
+        if (this._aggregate.length === 0) return;
+
+        const next = new Map(this._aggregate.map(entry => [entry.file.key, { items: [] as Item[], archivedItems: [] as Item[] }]));
+        const firstKey = this._aggregate[0].file.key;
+
+        let sourceKey = firstKey;
+        for (const item of this._items) {
+            if (item.locked) {
+                sourceKey = item.source;
+                continue;
+            }
+            next.get(sourceKey)?.items.push(item);
+        }
+        for (const item of this._archivedItems) {
+            (next.get(item.source) ?? next.get(firstKey))?.archivedItems.push(item);
+        }
+
+        let merged = false;
+        for (const [index, entry] of this._aggregate.entries()) {
+            const split = next.get(entry.file.key);
+            if (!split) continue;
+            const preamble = [...entry.preamble];
+            carryOverPassthrough([...entry.items, ...entry.archivedItems], [...split.items, ...split.archivedItems], preamble);
+
+            const saved = await this._saveMerged(entry.file.uri, entry, {
+                ...split,
+                preamble,
+                archivePreamble: entry.archivePreamble,
+                archiveHeading: entry.archiveHeading
+            });
+            if (!saved) continue;
+            this._aggregate[index] = { file: entry.file, ...takeSnapshot(saved.content, saved.state, saved.format) };
+            merged ||= saved.merged;
+        }
+        if (merged) {
+            this._sendAggregate();
+        }
+    }
+
     private async _saveToFile() {
-        if (!vscode.workspace.workspaceFolders) return;
+        if (this._showAll) {
+            await this._saveAll();
+            return;
+        }
+        if (!this._currentFile) return;
 
-        const workspaceRoot = vscode.workspace.workspaceFolders[0].uri;
-        const config = vscode.workspace.getConfiguration('archyTask');
-        const filePath = config.get<string>('filePath') || 'archytask.md';
-        const fileUri = this._resolveFilePath(workspaceRoot, filePath);
-        
-        const content = stringifyItems(this._items, this._archivedItems);
-        
+        const saved = await this._saveMerged(this._currentFile.uri, this._base, {
+            items: this._items,
+            archivedItems: this._archivedItems,
+            preamble: this._preamble,
+            archivePreamble: this._archivePreamble,
+            archiveHeading: this._archiveHeading
+        });
+        if (!saved) return;
+        this._base = takeSnapshot(saved.content, saved.state, saved.format);
+        if (saved.merged) {
+            this._applyState(saved.state);
+        }
+    }
+
+    /**
+     * Write the sidebar state of a task file.
+     * If the file changed on disk since it was last read, the changes are merged
+     * three ways (snapshot, sidebar, disk) first.
+     * @param {vscode.Uri} fileUri - File to write
+     * @param {FileSnapshot | undefined} base - The file as last read or written
+     * @param {ParseResult} ours - State edited in the sidebar
+     * @returns {Promise<SaveResult | undefined>} What the file now holds, or undefined if writing failed
+     */
+    private async _saveMerged(fileUri: vscode.Uri, base: FileSnapshot | undefined, ours: ParseResult): Promise<SaveResult | undefined> {
+        let disk: string | undefined;
+        try {
+            disk = await this._readFile(fileUri);
+        } catch {
+            // A deleted file is written again from the sidebar state
+            disk = undefined;
+        }
+
+        let state = ours;
+        let format = base?.format ?? DEFAULT_FORMAT;
+        let merged = false;
+        if (base && disk !== undefined && disk !== base.content) {
+            // The file may have been rewritten with other line endings or indentation too
+            format = await resolveFileFormat(fileUri, disk);
+            state = await this._mergeWithDisk(fileUri, base, ours, disk, format);
+            merged = true;
+        }
+
+        const content = stringifyState(state, format);
+        if (content !== disk) {
+            if (disk !== undefined) {
+                // The version about to be overwritten, which may not have been written from here
+                this._recordSnapshot(fileUri, disk);
+            }
+            if (!await this._writeFile(fileUri, content, format.bom)) {
+                return undefined;
+            }
+        }
+        return { content, state, format, merged };
+    }
+
+    /**
+     * Merge sidebar edits with changes made to the file on disk.
+     * Conflicting changes are shown to the user, who picks the side to keep;
+     * dismissing the dialog keeps the file's version of them. During a flush nobody may be
+     * there to answer: the file's version is kept and the sidebar's is stored as a snapshot.
+     * @param {vscode.Uri} fileUri - Task file
+     * @param {FileSnapshot} base - The file as last read or written
+     * @param {ParseResult} ours - State edited in the sidebar
+     * @param {string} disk - Current file content
+     * @param {FileFormat} format - Current format of the file
+     * @returns {Promise<ParseResult>} Merged state
+     */
+    private async _mergeWithDisk(fileUri: vscode.Uri, base: FileSnapshot, ours: ParseResult, disk: string, format: FileFormat): Promise<ParseResult> {
+        const theirs = parseMarkdown(disk, format);
+        matchItemIds(base, theirs);
+
+        const result = mergeFileStates(base, ours, theirs);
+        if (result.conflicts.length === 0) {
+            return result;
+        }
+
+        if (this._flushing > 0) {
+            this._recordSnapshot(fileUri, stringifyState(mergeFileStates(base, ours, theirs, 'ours'), format));
+            void vscode.window.showWarningMessage(
+                `${vscode.workspace.asRelativePath(fileUri)} changed on disk while you were editing it. ${result.conflicts.length} task(s) were changed on both sides; the file's version was kept. Use "Restore Tasks from Snapshot…" to get the sidebar's version back.`
+            );
+            return result;
+        }
+
+        const titles = result.conflicts
+            .map(conflict => `"${conflict.title}"${conflict.kind === 'deleted' ? ' (deleted on one side)' : ''}`)
+            .join('\n');
+        const choice = await vscode.window.showWarningMessage(
+            `${vscode.workspace.asRelativePath(fileUri)} changed on disk while you were editing it. ${result.conflicts.length} task(s) were changed on both sides.`,
+            { modal: true, detail: titles },
+            KEEP_SIDEBAR_CHANGES,
+            KEEP_FILE_CHANGES
+        );
+        return choice === KEEP_SIDEBAR_CHANGES ? mergeFileStates(base, ours, theirs, 'ours') : result;
+    }
+
+    /**
+     * Find the editor buffer of a file, if it is open
+     * @param {vscode.Uri} fileUri - File URI
+     * @returns {vscode.TextDocument | undefined}
+     */
+    private _findDocument(fileUri: vscode.Uri): vscode.TextDocument | undefined {
+        return vscode.workspace.textDocuments.find(doc => doc.uri.toString() === fileUri.toString());
+    }
+
+    /**
+     * Read a task file, preferring its editor buffer (with unsaved edits) when it is open
+     * @param {vscode.Uri} fileUri - File to read
+     * @returns {Promise<string>} Content without BOM (throws if the file doesn't exist)
+     */
+    private async _readFile(fileUri: vscode.Uri): Promise<string> {
+        const document = this._findDocument(fileUri);
+        if (document) {
+            return document.getText();
+        }
+        return Buffer.from(await vscode.workspace.fs.readFile(fileUri)).toString('utf8').replace(/^\uFEFF/, '');
+    }
+
+    /**
+     * Build an edit that changes only the lines that differ, so the cursor, folding and
+     * other edits in the buffer are left alone
+     * @param {vscode.TextDocument} document - Open task file
+     * @param {string} content - New content
+     * @returns {vscode.WorkspaceEdit} Line-level edit
+     */
+    private _createLineEdit(document: vscode.TextDocument, content: string): vscode.WorkspaceEdit {
+        const oldLines = document.getText().split('\n');
+        const edit = new vscode.WorkspaceEdit();
+        for (const change of diffLines(oldLines, content.split('\n'))) {
+            const end = change.start + change.deleteCount;
+            if (end < oldLines.length) {
+                // Whole lines, each with its line break
+                const text = change.lines.map(line => `${line}\n`).join('');
+                edit.replace(document.uri, new vscode.Range(change.start, 0, end, 0), text);
+            } else if (change.start === oldLines.length) {
+                // Lines added after a last line that has no line break
+                const last = oldLines.length - 1;
+                edit.insert(document.uri, new vscode.Position(last, oldLines[last].length), `\n${change.lines.join('\n')}`);
+            } else if (change.lines.length > 0 || change.start === 0) {
+                // The last line has no line break of its own
+                const range = new vscode.Range(change.start, 0, document.lineCount, 0);
+                edit.replace(document.uri, range, change.lines.join('\n'));
+            } else {
+                // Removing trailing lines also removes the line break before them
+                const previous = change.start - 1;
+                edit.replace(document.uri, new vscode.Range(previous, oldLines[previous].length, document.lineCount, 0), '');
+            }
+        }
+        return edit;
+    }
+
+    /**
+     * Write a task file, telling the file watcher to ignore the change.
+     * An open file is changed through its editor buffer so the edit joins its undo stack;
+     * the buffer is saved only if it had no unsaved edits of its own.
+     * @param {vscode.Uri} fileUri - File to write
+     * @param {string} content - New content
+     * @param {boolean} bom - Whether to start the file with a BOM (an open buffer keeps its own encoding)
+     * @returns {Promise<boolean>} True if the file was written
+     */
+    private async _writeFile(fileUri: vscode.Uri, content: string, bom: boolean): Promise<boolean> {
+        const filePath = vscode.workspace.asRelativePath(fileUri);
+        const document = this._findDocument(fileUri);
         try {
-            // Ensure parent directory exists
-            await this._ensureParentDirectory(fileUri);
-            
             this._ignoreNextChange = true;
-            await vscode.workspace.fs.writeFile(fileUri, Buffer.from(content, 'utf8'));
+            if (document) {
+                const wasDirty = document.isDirty;
+                if (!await vscode.workspace.applyEdit(this._createLineEdit(document, content))) {
+                    throw new Error(`Edit to ${filePath} was not applied`);
+                }
+                if (!wasDirty) {
+                    await document.save();
+                }
+            } else {
+                await this._writeAtomically(fileUri, Buffer.from(bom ? `\uFEFF${content}` : content, 'utf8'));
+            }
+            this._recordSnapshot(fileUri, content);
             // Flag will be reset by file watcher's refresh() call
             // Add a timeout fallback to ensure flag is reset even if file watcher doesn't fire
             setTimeout(() => {
@@ -293,21 +1394,25 @@ export class SidebarProvider implements vscode.WebviewViewProvider {
                     this._ignoreNextChange = false;
                 }
             }, 500);
+            return true;
         } catch (e) {
             this._ignoreNextChange = false;
             vscode.window.showErrorMessage(`Failed to save ${filePath}`);
+            return false;
         }
     }
     private _sendSettings() {
         const config = vscode.workspace.getConfiguration('archyTask');
         const taskMoveModifier = config.get<string>('taskMoveModifier') || 'cmd';
         const newItemTrigger = config.get<string>('newItemTrigger') || 'shift+enter';
+        const maxNestingDepth = config.get<number>('maxNestingDepth') ?? 1;
         const isMac = process.platform === 'darwin';
 
         this._view?.webview.postMessage({
             type: "settings",
             taskMoveModifier: taskMoveModifier,
             newItemTrigger: newItemTrigger,
+            maxIndent: Math.max(1, Math.floor(maxNestingDepth)),
             isMac: isMac
         });
     }
@@ -330,21 +1435,6 @@ export class SidebarProvider implements vscode.WebviewViewProvider {
         }
     }
 
-    /**
-     * Resolve file path to URI, supporting both relative and absolute paths
-     * @param {vscode.Uri} workspaceRoot - Workspace root URI
-     * @param {string} filePath - File path (relative to workspace or absolute)
-     * @returns {vscode.Uri} Resolved file URI
-     */
-    private _resolveFilePath(workspaceRoot: vscode.Uri, filePath: string): vscode.Uri {
-        // Check if path is absolute (starts with /)
-        if (filePath.startsWith('/')) {
-            return vscode.Uri.file(filePath);
-        }
-        // Otherwise treat as relative to workspace root
-        return vscode.Uri.joinPath(workspaceRoot, filePath);
-    }
-
     /**
      * Ensure file and its parent directories exist, creating them if necessary
      * If file doesn't exist, create it with default content
@@ -367,7 +1457,7 @@ export class SidebarProvider implements vscode.WebviewViewProvider {
 - [ ] "shift + tab" to decrease indent.
 	- [ ] this is subtask.
 	- [ ] this is also subtask.
-	- [ ] There are no sub-subtasks.
+	- [ ] Set "archyTask.maxNestingDepth" to allow sub-subtasks.
 - [ ] "ctrl + down/up" to move task.
 - [ ] move me!
 ## Doing
@@ -390,8 +1480,29 @@ export class SidebarProvider implements vscode.WebviewViewProvider {
     The menu button (three-dot icon) is at the top right corner.
     \`\`\`
 `;
+            // Written in the format .editorconfig / files.eol ask for
+            const format = await resolveFileFormat(fileUri, '');
+            const content = stringifyState(parseMarkdown(defaultContent), format);
             
-            await vscode.workspace.fs.writeFile(fileUri, Buffer.from(defaultContent, 'utf8'));
+            await this._writeAtomically(fileUri, Buffer.from(format.bom ? `\uFEFF${content}` : content, 'utf8'));
+        }
+    }
+
+    /**
+     * Write a file through a temporary file next to it that is then renamed over it,
+     * so a crash in the middle of a write never leaves a truncated task file
+     * @param {vscode.Uri} fileUri - File to write
+     * @param {Uint8Array} data - Complete new content
+     */
+    private async _writeAtomically(fileUri: vscode.Uri, data: Uint8Array): Promise<void> {
+        await this._ensureParentDirectory(fileUri);
+        const tempUri = vscode.Uri.joinPath(fileUri, '..', `.${path.posix.basename(fileUri.path)}.${process.pid}-${Date.now()}.tmp`);
+        try {
+            await vscode.workspace.fs.writeFile(tempUri, data);
+            await vscode.workspace.fs.rename(tempUri, fileUri, { overwrite: true });
+        } catch (e) {
+            await Promise.resolve(vscode.workspace.fs.delete(tempUri)).catch(() => undefined);
+            throw e;
         }
     }
 
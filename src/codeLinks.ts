@@ -0,0 +1,98 @@
+import * as path from 'path';
+import * as vscode from 'vscode';
+import { CodeLink } from './models';
+
+/** Symbols a task title can be taken from when nothing is selected */
+const FUNCTION_KINDS = [vscode.SymbolKind.Function, vscode.SymbolKind.Method, vscode.SymbolKind.Constructor];
+/** Longer titles taken from code are cut at a word */
+const MAX_TITLE_LENGTH = 100;
+/** Comment markers at the start and end of a selected line */
+const LEADING_COMMENT_PATTERN = /^(?:\/\/+|\/\*+|\*+|#+)\s*/;
+const TRAILING_COMMENT_PATTERN = /\s*\*+\/$/;
+
+/**
+ * Title for a task created from an editor: the first non-empty line of the selection
+ * without comment markers, or the name of the function around the cursor
+ * @param {vscode.TextEditor} editor - Editor the command was run in
+ * @returns {Promise<string | undefined>} The title, or undefined if there is nothing to use
+ */
+export async function getTitleFromEditor(editor: vscode.TextEditor): Promise<string | undefined> {
+    const selected = editor.document.getText(editor.selection)
+        .split(/\r?\n/)
+        .map(line => line.trim().replace(LEADING_COMMENT_PATTERN, '').replace(TRAILING_COMMENT_PATTERN, '').replace(/\s+/g, ' '))
+        .find(line => line !== '');
+    if (selected) return truncateTitle(selected);
+
+    const symbols = await vscode.commands.executeCommand<(vscode.DocumentSymbol | vscode.SymbolInformation)[] | undefined>(
+        'vscode.executeDocumentSymbolProvider',
+        editor.document.uri
+    );
+    return findFunctionAt(symbols ?? [], editor.selection.active)?.name;
+}
+
+/**
+ * Shorten a title taken from code, cutting at a word where there is one
+ * @param {string} title - Title on one line
+ * @returns {string} The title, or its start followed by `…`
+ */
+export function truncateTitle(title: string): string {
+    if (title.length <= MAX_TITLE_LENGTH) return title;
+    const cut = title.substring(0, MAX_TITLE_LENGTH - 1);
+    const space = cut.lastIndexOf(' ');
+    return `${(space > MAX_TITLE_LENGTH / 2 ? cut.substring(0, space) : cut).trimEnd()}…`;
+}
+
+/**
+ * Innermost function or method containing a position
+ */
+function findFunctionAt(
+    symbols: (vscode.DocumentSymbol | vscode.SymbolInformation)[],
+    position: vscode.Position
+): vscode.DocumentSymbol | vscode.SymbolInformation | undefined {
+    let found: vscode.DocumentSymbol | vscode.SymbolInformation | undefined;
+    for (const symbol of symbols) {
+        const range = 'range' in symbol ? symbol.range : symbol.location.range;
+        if (!range.contains(position)) continue;
+        if (FUNCTION_KINDS.includes(symbol.kind)) {
+            found = symbol;
+        }
+        // Flat SymbolInformation lists have no children; a later, narrower match still wins
+        const inner = 'children' in symbol ? findFunctionAt(symbol.children, position) : undefined;
+        if (inner) return inner;
+    }
+    return found;
+}
+
+/**
+ * Link from a task file to a line of another file
+ * @param {vscode.Uri} taskFileUri - Task file the link is written to
+ * @param {vscode.Uri} target - File to link to
+ * @param {number} line - Zero-based line in the target
+ * @returns {CodeLink} Link with a path relative to the task file's folder
+ */
+export function createCodeLink(taskFileUri: vscode.Uri, target: vscode.Uri, line: number): CodeLink {
+    return {
+        path: path.posix.relative(path.posix.dirname(taskFileUri.path), target.path),
+        line: line + 1
+    };
+}
+
+/**
+ * Open the file a code link points to, with the cursor on its line
+ * @param {vscode.Uri} taskFileUri - Task file the link was read from
+ * @param {CodeLink} link - Code link
+ */
+export async function openCodeLink(taskFileUri: vscode.Uri, link: CodeLink): Promise<void> {
+    const target = vscode.Uri.joinPath(taskFileUri, '..', link.path);
+    try {
+        const document = await vscode.workspace.openTextDocument(target);
+        const line = Math.min(Math.max(link.line - 1, 0), document.lineCount - 1);
+        const position = new vscode.Position(line, 0);
+        await vscode.window.showTextDocument(document, {
+            selection: new vscode.Range(position, position),
+            viewColumn: vscode.ViewColumn.Active
+        });
+    } catch {
+        vscode.window.showErrorMessage(`Could not open ${link.path}:${link.line}`);
+    }
+}
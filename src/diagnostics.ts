@@ -0,0 +1,98 @@
+import * as vscode from 'vscode';
+import { LineChange } from './lineDiff';
+import { lintTaskFile } from './taskLint';
+import { TaskFileSet } from './taskFiles';
+
+const DIAGNOSTIC_SOURCE = 'ArchyTask';
+
+/**
+ * Warnings for lines of open task files that the sidebar doesn't read as intended
+ * (see lintTaskFile), with quick fixes that rewrite them.
+ */
+export class TaskDiagnostics implements vscode.CodeActionProvider, vscode.Disposable {
+    public static readonly providedCodeActionKinds = [vscode.CodeActionKind.QuickFix];
+
+    private readonly _collection = vscode.languages.createDiagnosticCollection('archyTask');
+    private readonly _disposables: vscode.Disposable[] = [];
+
+    constructor(private readonly _taskFiles: TaskFileSet) {
+        this._disposables.push(
+            this._collection,
+            vscode.workspace.onDidOpenTextDocument(document => this._update(document)),
+            vscode.workspace.onDidChangeTextDocument(e => this._update(e.document)),
+            vscode.workspace.onDidCloseTextDocument(document => this._collection.delete(document.uri)),
+            _taskFiles.onDidChange(() => this._updateAll())
+        );
+        this._updateAll();
+    }
+
+    public provideCodeActions(document: vscode.TextDocument, _range: vscode.Range, context: vscode.CodeActionContext): vscode.CodeAction[] {
+        const diagnostics = context.diagnostics.filter(diagnostic => diagnostic.source === DIAGNOSTIC_SOURCE);
+        if (diagnostics.length === 0) return [];
+
+        const actions: vscode.CodeAction[] = [];
+        for (const problem of lintTaskFile(document.getText())) {
+            const diagnostic = diagnostics.find(d => d.range.start.line === problem.line && d.code === problem.kind);
+            if (!diagnostic || !problem.fix) continue;
+            const action = new vscode.CodeAction(problem.fix.title, vscode.CodeActionKind.QuickFix);
+            action.edit = createEdit(document, problem.fix.change);
+            action.diagnostics = [diagnostic];
+            action.isPreferred = true;
+            actions.push(action);
+        }
+        return actions;
+    }
+
+    public dispose() {
+        this._disposables.forEach(disposable => disposable.dispose());
+    }
+
+    private _updateAll() {
+        this._collection.forEach(uri => {
+            if (!this._taskFiles.has(uri)) this._collection.delete(uri);
+        });
+        vscode.workspace.textDocuments.forEach(document => this._update(document));
+    }
+
+    private _update(document: vscode.TextDocument) {
+        if (!this._taskFiles.has(document.uri)) return;
+
+        const diagnostics = lintTaskFile(document.getText())
+            .filter(problem => problem.line < document.lineCount)
+            .map(problem => {
+                const diagnostic = new vscode.Diagnostic(
+                    document.lineAt(problem.line).range,
+                    problem.message,
+                    vscode.DiagnosticSeverity.Warning
+                );
+                diagnostic.source = DIAGNOSTIC_SOURCE;
+                diagnostic.code = problem.kind;
+                return diagnostic;
+            });
+        this._collection.set(document.uri, diagnostics);
+    }
+}
+
+/**
+ * Turn a line change into an edit of the document
+ * @param document - Document the change applies to
+ * @param change - Lines to replace or insert
+ * @returns Workspace edit
+ */
+function createEdit(document: vscode.TextDocument, change: LineChange): vscode.WorkspaceEdit {
+    const edit = new vscode.WorkspaceEdit();
+    const eol = document.eol === vscode.EndOfLine.CRLF ? '\r\n' : '\n';
+    if (change.deleteCount > 0) {
+        const range = new vscode.Range(
+            document.lineAt(change.start).range.start,
+            document.lineAt(change.start + change.deleteCount - 1).range.end
+        );
+        edit.replace(document.uri, range, change.lines.join(eol));
+    } else if (change.start < document.lineCount) {
+        edit.insert(document.uri, new vscode.Position(change.start, 0), change.lines.map(line => line + eol).join(''));
+    } else {
+        // After a last line without a line break
+        edit.insert(document.uri, document.lineAt(document.lineCount - 1).range.end, change.lines.map(line => eol + line).join(''));
+    }
+    return edit;
+}
@@ -0,0 +1,160 @@
+import { detectFormat, FileFormat } from './parser';
+
+/** Formatting rules an `.editorconfig` declares for a file */
+export interface EditorConfigRules {
+    eol?: FileFormat['eol'];
+    bom?: boolean;
+    indent?: string;
+}
+
+const UTF8_BOM = [0xef, 0xbb, 0xbf];
+
+/**
+ * Work out the format to write a task file in from its content and `.editorconfig` rules.
+ * The rules win; otherwise the file keeps the line endings and indentation it already uses,
+ * and `fallback` decides for what it doesn't show yet.
+ * @param {string} content - Current content (without BOM)
+ * @param {EditorConfigRules} rules - Rules that apply to the file
+ * @param {FileFormat} fallback - Format for what the content doesn't show (`files.eol`, BOM on disk)
+ * @returns {FileFormat} Format to parse and write the file with
+ */
+export function applyEditorConfig(content: string, rules: EditorConfigRules, fallback: FileFormat): FileFormat {
+    const detected = detectFormat(content, fallback);
+    return {
+        eol: rules.eol ?? detected.eol,
+        bom: rules.bom ?? detected.bom,
+        indent: rules.indent ?? detected.indent,
+        noteIndent: detected.noteIndent,
+        finalNewline: detected.finalNewline
+    };
+}
+
+/**
+ * Add rules from a farther `.editorconfig`: only what a nearer file didn't set
+ * @param {EditorConfigRules} rules - Rules collected so far, changed in place
+ * @param {EditorConfigRules} found - Rules of the farther file
+ */
+export function addFartherRules(rules: EditorConfigRules, found: EditorConfigRules) {
+    rules.eol ??= found.eol;
+    rules.bom ??= found.bom;
+    rules.indent ??= found.indent;
+}
+
+/**
+ * Check file bytes for a UTF-8 BOM
+ * @param {Uint8Array} bytes - Start of the file (or all of it)
+ */
+export function hasUtf8Bom(bytes: Uint8Array): boolean {
+    return UTF8_BOM.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * Read the properties of an `.editorconfig` file that apply to a path
+ * @param {string} text - File content
+ * @param {string} relativePath - Path of the task file relative to the `.editorconfig`
+ * @returns Matching properties (later sections win) and whether the file is marked `root`
+ */
+export function parseEditorConfig(text: string, relativePath: string): { properties: Map<string, string>; root: boolean } {
+    const properties = new Map<string, string>();
+    let root = false;
+    let inSection = false;
+    let matches = false;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (line === '' || line.startsWith('#') || line.startsWith(';')) continue;
+
+        const section = line.match(/^\[(.*)\]$/);
+        if (section) {
+            inSection = true;
+            matches = globToRegExp(section[1]).test(relativePath);
+            continue;
+        }
+
+        const pair = line.match(/^([^=:]+)[=:](.*)$/);
+        if (!pair) continue;
+        const key = pair[1].trim().toLowerCase();
+        const value = pair[2].trim().toLowerCase();
+        if (!inSection) {
+            if (key === 'root') root = value === 'true';
+        } else if (matches) {
+            properties.set(key, value);
+        }
+    }
+    return { properties, root };
+}
+
+/**
+ * Turn `.editorconfig` properties into the formatting rules a task file is written with
+ * @param {Map<string, string>} properties - Properties that apply to the file
+ * @returns {EditorConfigRules} Rules for the properties that are set and understood
+ */
+export function toRules(properties: Map<string, string>): EditorConfigRules {
+    const rules: EditorConfigRules = {};
+
+    const eol = properties.get('end_of_line');
+    if (eol === 'lf') rules.eol = '\n';
+    if (eol === 'crlf') rules.eol = '\r\n';
+
+    const charset = properties.get('charset');
+    if (charset === 'utf-8-bom') rules.bom = true;
+    if (charset === 'utf-8') rules.bom = false;
+
+    const style = properties.get('indent_style');
+    if (style === 'tab') {
+        rules.indent = '\t';
+    } else if (style === 'space') {
+        const size = Number(properties.get('indent_size') ?? properties.get('tab_width'));
+        if (Number.isInteger(size) && size > 0) {
+            rules.indent = ' '.repeat(size);
+        }
+    }
+    return rules;
+}
+
+/**
+ * Convert an `.editorconfig` section glob to a regular expression.
+ * Globs without a `/` match the file name in any directory.
+ * @param {string} glob - Section name such as `*.md`, `{docs,notes}/**.md` or `[Mm]akefile`
+ * @returns {RegExp} Expression matched against the path relative to the `.editorconfig`
+ */
+function globToRegExp(glob: string): RegExp {
+    let pattern = glob.includes('/') ? '' : '(?:.*/)?';
+    let braceDepth = 0;
+    const source = glob.startsWith('/') ? glob.substring(1) : glob;
+
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (ch === '*') {
+            if (source[i + 1] === '*') {
+                pattern += '.*';
+                i++;
+            } else {
+                pattern += '[^/]*';
+            }
+        } else if (ch === '?') {
+            pattern += '[^/]';
+        } else if (ch === '[') {
+            const end = source.indexOf(']', i + 1);
+            if (end === -1) {
+                pattern += '\\[';
+            } else {
+                pattern += `[${source.substring(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+                i = end;
+            }
+        } else if (ch === '{') {
+            braceDepth++;
+            pattern += '(?:';
+        } else if (ch === '}' && braceDepth > 0) {
+            braceDepth--;
+            pattern += ')';
+        } else if (ch === ',' && braceDepth > 0) {
+            pattern += '|';
+        } else {
+            pattern += ch.replace(/[.+^$()|\\]/g, '\\$&');
+        }
+    }
+    // An unclosed brace is closed rather than making the pattern invalid
+    pattern += ')'.repeat(braceDepth);
+    return new RegExp(`^${pattern}$`);
+}
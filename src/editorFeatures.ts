@@ -0,0 +1,220 @@
+import * as vscode from 'vscode';
+import { Item, ItemTodo } from './models';
+import { resolveFileFormat } from './fileFormat';
+import { getItemLines, LocatedParseResult, parseMarkdownWithLines, TODO_LINE_PATTERN } from './parser';
+import { TaskFileSet } from './taskFiles';
+
+/** Command run by the CodeLens above a task */
+export const TOGGLE_TASK_COMMAND = 'archyTask.toggleTaskAtLine';
+
+const STATUS_LABELS: Record<string, string> = { 'in-progress': 'in progress', cancelled: 'cancelled', deferred: 'deferred' };
+
+/** Parsed documents, reused until the document changes */
+const parseCache = new WeakMap<vscode.TextDocument, { version: number; result: Promise<LocatedParseResult> }>();
+
+/**
+ * Parse an open task file with parseMarkdown, remembering where each item is.
+ * The format comes from resolveFileFormat, as when the sidebar reads and writes the file.
+ * @param {vscode.TextDocument} document - Task file
+ * @returns {Promise<LocatedParseResult>} Items with their lines
+ */
+export function parseDocument(document: vscode.TextDocument): Promise<LocatedParseResult> {
+    const cached = parseCache.get(document);
+    if (cached && cached.version === document.version) return cached.result;
+    const content = document.getText();
+    const result = resolveFileFormat(document.uri, content).then(format => parseMarkdownWithLines(content, format));
+    parseCache.set(document, { version: document.version, result });
+    return result;
+}
+
+/**
+ * Toggle the task on a line of a task file between open and done.
+ * Extended states (in progress, cancelled, deferred) become done.
+ * @param {vscode.Uri} uri - Task file
+ * @param {number} line - Line of the task (zero-based)
+ */
+export async function toggleTaskAtLine(uri: vscode.Uri, line: number): Promise<void> {
+    const document = await vscode.workspace.openTextDocument(uri);
+    if (line >= document.lineCount) return;
+    const text = document.lineAt(line).text;
+    const match = text.match(TODO_LINE_PATTERN);
+    if (!match) return;
+
+    const markColumn = text.indexOf('[', match[1].length) + 1;
+    const isChecked = match[2] === 'x' || match[2] === 'X';
+    const edit = new vscode.WorkspaceEdit();
+    edit.replace(uri, new vscode.Range(line, markColumn, line, markColumn + 1), isChecked ? ' ' : 'x');
+    await vscode.workspace.applyEdit(edit);
+}
+
+/**
+ * "Mark as done" / "Mark as open" above each task that is not archived
+ */
+export class TaskCodeLensProvider implements vscode.CodeLensProvider {
+    public readonly onDidChangeCodeLenses: vscode.Event<void>;
+
+    constructor(private readonly _taskFiles: TaskFileSet) {
+        this.onDidChangeCodeLenses = _taskFiles.onDidChange;
+    }
+
+    public async provideCodeLenses(document: vscode.TextDocument): Promise<vscode.CodeLens[]> {
+        if (!this._taskFiles.has(document.uri)) return [];
+        const parsed = await parseDocument(document);
+        return parsed.items
+            .filter((item): item is ItemTodo => item.type === 'todo')
+            .map(todo => {
+                const line = parsed.itemLines.get(todo) ?? 0;
+                return new vscode.CodeLens(new vscode.Range(line, 0, line, 0), {
+                    title: todo.isChecked ? '$(circle-large-outline) Mark as open' : '$(check) Mark as done',
+                    command: TOGGLE_TASK_COMMAND,
+                    arguments: [document.uri, line]
+                });
+            });
+    }
+}
+
+/**
+ * Headings and tasks in the Outline view, with subtasks nested under their tasks
+ */
+export class TaskSymbolProvider implements vscode.DocumentSymbolProvider {
+    constructor(private readonly _taskFiles: TaskFileSet) {}
+
+    public async provideDocumentSymbols(document: vscode.TextDocument): Promise<vscode.DocumentSymbol[]> {
+        if (!this._taskFiles.has(document.uri)) return [];
+        const parsed = await parseDocument(document);
+        const symbols: vscode.DocumentSymbol[] = [];
+        // Innermost open symbol per level: a heading, then tasks by indent
+        let stack: { indent: number; symbol: vscode.DocumentSymbol }[] = [];
+
+        const add = (item: Item) => {
+            const lines = getItemLines(parsed, item) ?? { start: 0, end: 0 };
+            const symbol = this._createSymbol(document, item, lines.start, lines.end);
+            // Headings start a new group; a task goes under the nearest task less indented than it
+            const level = item.type === 'heading' ? -1 : item.indent;
+            stack = stack.filter(entry => entry.indent < level);
+            const parent = stack[stack.length - 1];
+            if (parent) {
+                parent.symbol.children.push(symbol);
+            } else {
+                symbols.push(symbol);
+            }
+            stack.forEach(entry => {
+                entry.symbol.range = entry.symbol.range.union(symbol.range);
+            });
+            stack.push({ indent: level, symbol });
+        };
+
+        parsed.items.forEach(add);
+
+        if (parsed.archiveLine !== null) {
+            const line = document.lineAt(parsed.archiveLine).range;
+            const archive = new vscode.DocumentSymbol('Archive', '', vscode.SymbolKind.Namespace, line, line);
+            symbols.push(archive);
+            stack = [{ indent: -2, symbol: archive }];
+            parsed.archivedItems.forEach(add);
+        }
+        return symbols;
+    }
+
+    private _createSymbol(document: vscode.TextDocument, item: Item, line: number, lastLine: number): vscode.DocumentSymbol {
+        const selection = document.lineAt(line).range;
+        const range = new vscode.Range(selection.start, document.lineAt(Math.min(lastLine, document.lineCount - 1)).range.end);
+        if (item.type === 'heading') {
+            return new vscode.DocumentSymbol(item.title, '', vscode.SymbolKind.Namespace, range, selection);
+        }
+        const todo = item as ItemTodo;
+        const state = todo.isChecked ? 'done' : todo.status ? STATUS_LABELS[todo.status] : '';
+        const detail = [state, todo.due ? `due ${todo.due}` : ''].filter(part => part).join(' · ');
+        return new vscode.DocumentSymbol(todo.title || '(untitled)', detail, vscode.SymbolKind.Boolean, range, selection);
+    }
+}
+
+/**
+ * Folding for the ```plane notes of tasks and headings
+ */
+export class TaskFoldingProvider implements vscode.FoldingRangeProvider {
+    constructor(private readonly _taskFiles: TaskFileSet) {}
+
+    public async provideFoldingRanges(document: vscode.TextDocument): Promise<vscode.FoldingRange[]> {
+        if (!this._taskFiles.has(document.uri)) return [];
+        const parsed = await parseDocument(document);
+        return [...parsed.noteLines.values()].map(note => new vscode.FoldingRange(note.start, note.end, vscode.FoldingRangeKind.Region));
+    }
+}
+
+/**
+ * Completions for `#tags` used elsewhere in the file and for dates after `due:` / `📅`
+ */
+export class TaskCompletionProvider implements vscode.CompletionItemProvider {
+    public static readonly triggerCharacters = ['#', ':'];
+
+    constructor(private readonly _taskFiles: TaskFileSet) {}
+
+    public async provideCompletionItems(document: vscode.TextDocument, position: vscode.Position): Promise<vscode.CompletionItem[]> {
+        if (!this._taskFiles.has(document.uri)) return [];
+        const lineText = document.lineAt(position.line).text;
+        // Only titles of tasks and headings take tags and dates
+        const titleStart = TODO_LINE_PATTERN.test(lineText)
+            ? lineText.indexOf(']') + 2
+            : lineText.startsWith('## ') ? 3 : -1;
+        if (titleStart === -1 || position.character < titleStart) return [];
+        const before = lineText.substring(titleStart, position.character);
+
+        const date = before.match(/(?:^|\s)(?:due:|📅\s?)([\d-]*)$/u);
+        if (date) {
+            const range = new vscode.Range(position.translate(0, -date[1].length), position);
+            return this._dateCompletions(range);
+        }
+        const tag = before.match(/(?:^|\s)#([\p{L}\p{N}_\-/.]*)$/u);
+        if (tag) {
+            const range = new vscode.Range(position.translate(0, -tag[1].length), position);
+            return this._tagCompletions(document, range);
+        }
+        return [];
+    }
+
+    private async _tagCompletions(document: vscode.TextDocument, range: vscode.Range): Promise<vscode.CompletionItem[]> {
+        const parsed = await parseDocument(document);
+        const counts = new Map<string, number>();
+        [...parsed.items, ...parsed.archivedItems].forEach(item => {
+            item.tags.forEach(tag => counts.set(tag, (counts.get(tag) ?? 0) + 1));
+        });
+        return [...counts.entries()].map(([tag, count]) => {
+            const completion = new vscode.CompletionItem(tag, vscode.CompletionItemKind.Keyword);
+            completion.detail = count === 1 ? 'used once' : `used ${count} times`;
+            completion.range = range;
+            // Most used tags first
+            completion.sortText = String(100000 - count).padStart(6, '0') + tag;
+            return completion;
+        });
+    }
+
+    private _dateCompletions(range: vscode.Range): vscode.CompletionItem[] {
+        const today = new Date();
+        const inDays = (days: number) => new Date(today.getFullYear(), today.getMonth(), today.getDate() + days);
+        const nextMonday = (8 - today.getDay()) % 7 || 7;
+        const choices: [string, Date][] = [
+            ['today', inDays(0)],
+            ['tomorrow', inDays(1)],
+            ['next Monday', inDays(nextMonday)],
+            ['in a week', inDays(7)],
+            ['end of month', new Date(today.getFullYear(), today.getMonth() + 1, 0)]
+        ];
+        return choices.map(([label, date], i) => {
+            const value = formatDate(date);
+            const completion = new vscode.CompletionItem({ label: value, description: label }, vscode.CompletionItemKind.Value);
+            completion.range = range;
+            completion.sortText = String(i);
+            completion.filterText = value;
+            return completion;
+        });
+    }
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ */
+function formatDate(date: Date): string {
+    const pad = (value: number) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
@@ -1,11 +1,27 @@
 import * as vscode from 'vscode';
 import { SidebarProvider } from './SidebarProvider';
 import { ShortcutsPanel } from './ShortcutsPanel';
+import { TaskDiagnostics } from './diagnostics';
+import {
+	TaskCodeLensProvider,
+	TaskCompletionProvider,
+	TaskFoldingProvider,
+	TaskSymbolProvider,
+	TOGGLE_TASK_COMMAND,
+	toggleTaskAtLine
+} from './editorFeatures';
+import { TaskFileSet } from './taskFiles';
+
+/** Kept so deactivate() can write pending edits */
+let activeProvider: SidebarProvider | undefined;
 
 export function activate(context: vscode.ExtensionContext) {
 	console.log('ArchyTask extension is now active!');
 
 	const sidebarProvider = new SidebarProvider(context.extensionUri, context);
+	activeProvider = sidebarProvider;
+	// Disposing the provider stops its file watchers
+	context.subscriptions.push(sidebarProvider);
 	
 	// Register webview view provider with retainContextWhenHidden to prevent reloads
 	try {
@@ -25,6 +41,28 @@ export function activate(context: vscode.ExtensionContext) {
 		// Provider might already be registered, continue anyway
 	}
 
+	// Editor support for the task files themselves (the providers skip other Markdown files)
+	const taskFiles = new TaskFileSet();
+	const taskDiagnostics = new TaskDiagnostics(taskFiles);
+	const markdown: vscode.DocumentSelector = { language: 'markdown' };
+	context.subscriptions.push(
+		taskFiles,
+		// Warnings and quick fixes for task file lines the sidebar can't read
+		taskDiagnostics,
+		vscode.languages.registerCodeActionsProvider(markdown, taskDiagnostics, {
+			providedCodeActionKinds: TaskDiagnostics.providedCodeActionKinds
+		}),
+		vscode.languages.registerCodeLensProvider(markdown, new TaskCodeLensProvider(taskFiles)),
+		vscode.languages.registerDocumentSymbolProvider(markdown, new TaskSymbolProvider(taskFiles)),
+		vscode.languages.registerFoldingRangeProvider(markdown, new TaskFoldingProvider(taskFiles)),
+		vscode.languages.registerCompletionItemProvider(
+			markdown,
+			new TaskCompletionProvider(taskFiles),
+			...TaskCompletionProvider.triggerCharacters
+		),
+		vscode.commands.registerCommand(TOGGLE_TASK_COMMAND, toggleTaskAtLine)
+	);
+
 	// Initialize donation banner date if not set
 	const initializeDonationBannerDate = async () => {
 		const hiddenUntil = context.globalState.get<string>('donationBannerHiddenUntil');
@@ -37,97 +75,13 @@ export function activate(context: vscode.ExtensionContext) {
 
 	initializeDonationBannerDate();
 
-	// Helper function to get the archytask file path
-	const getArchyTaskFilePath = (): string | null => {
-		if (!vscode.workspace.workspaceFolders) return null;
-		const workspaceRoot = vscode.workspace.workspaceFolders[0];
-		const config = vscode.workspace.getConfiguration('archyTask');
-		const filePath = config.get<string>('filePath') || 'archytask.md';
-		
-		// If absolute path, use as-is; otherwise, relative to workspace root
-		if (vscode.Uri.file(filePath).scheme === 'file' && /^\//.test(filePath)) {
-			return filePath;
-		}
-		return vscode.Uri.joinPath(workspaceRoot.uri, filePath).fsPath;
-	};
-
-	// File Watcher - only active when the file is open in editor
-	let watcher: vscode.FileSystemWatcher | undefined;
-	let fileOpenCount = 0;
-
-	const startWatcher = () => {
-		if (watcher) return; // Already watching
-
-		const filePath = getArchyTaskFilePath();
-		if (!filePath) return;
-
-		// Create watcher with glob pattern matching the specific file path
-		const pattern = new vscode.RelativePattern(vscode.workspace.workspaceFolders![0], '**/*');
-		watcher = vscode.workspace.createFileSystemWatcher(pattern);
-
-		watcher.onDidChange((uri) => {
-			if (uri.fsPath === filePath) {
-				sidebarProvider.refresh();
-			}
-		});
-
-		watcher.onDidCreate((uri) => {
-			if (uri.fsPath === filePath) {
-				sidebarProvider.refresh();
-			}
-		});
-
-		watcher.onDidDelete((uri) => {
-			if (uri.fsPath === filePath) {
-				sidebarProvider.refresh();
-			}
-		});
-
-		context.subscriptions.push(watcher);
-	};
-
-	const stopWatcher = () => {
-		if (watcher && fileOpenCount === 0) {
-			watcher.dispose();
-			const index = context.subscriptions.indexOf(watcher);
-			if (index > -1) {
-				context.subscriptions.splice(index, 1);
-			}
-			watcher = undefined;
-		}
-	};
-
-	// Track when archytask file is opened/closed in editor
+	// Folders added or removed change the list of task files
 	context.subscriptions.push(
-		vscode.window.onDidChangeVisibleTextEditors((editors) => {
-			const filePath = getArchyTaskFilePath();
-			if (!filePath) return;
-
-			// Count how many editors have the archytask file open
-			const openCount = editors.filter(e => e.document.uri.fsPath === filePath).length;
-
-			if (openCount > fileOpenCount) {
-				// File opened
-				fileOpenCount = openCount;
-				startWatcher();
-			} else if (openCount < fileOpenCount) {
-				// File closed
-				fileOpenCount = openCount;
-				if (fileOpenCount === 0) {
-					stopWatcher();
-				}
-			}
+		vscode.workspace.onDidChangeWorkspaceFolders(() => {
+			sidebarProvider.refresh();
 		})
 	);
 
-	// Also check on initial activation
-	fileOpenCount = vscode.window.visibleTextEditors.filter(
-		e => e.document.uri.fsPath === getArchyTaskFilePath()
-	).length;
-	if (fileOpenCount > 0) {
-		startWatcher();
-	}
-
 	// Command to sync/reload items from MD file
 	const syncFileCommand = vscode.commands.registerCommand('archyTask.syncFile', async () => {
 		await sidebarProvider.refresh();
@@ -143,6 +97,45 @@ export function activate(context: vscode.ExtensionContext) {
 
 	context.subscriptions.push(showKeyboardShortcutsCommand);
 
+	// Command to sort the tasks under the current heading by priority
+	const sortByPriorityCommand = vscode.commands.registerCommand('archyTask.sortByPriority', () => {
+		sidebarProvider.sortByPriority();
+	});
+
+	context.subscriptions.push(sortByPriorityCommand);
+
+	// Command to add a task without opening the sidebar
+	const addTaskCommand = vscode.commands.registerCommand('archyTask.addTask', async () => {
+		await sidebarProvider.addTask();
+	});
+
+	context.subscriptions.push(addTaskCommand);
+
+	// Editor context menu: add the selection (or the function at the cursor) as a task linking back to it
+	const addSelectionAsTaskCommand = vscode.commands.registerTextEditorCommand('archyTask.addSelectionAsTask', async (editor) => {
+		await sidebarProvider.addSelectionAsTask(editor);
+	});
+
+	context.subscriptions.push(addSelectionAsTaskCommand);
+
+	// Command to collect TODO/FIXME/HACK comments of the workspace as tasks
+	const harvestTodoCommentsCommand = vscode.commands.registerCommand('archyTask.harvestTodoComments', async () => {
+		await sidebarProvider.harvestTodoComments();
+	});
+
+	context.subscriptions.push(
+		harvestTodoCommentsCommand,
+		// archyTask.todoComments.scanOnSave collects the comments of each saved file
+		vscode.workspace.onDidSaveTextDocument(document => void sidebarProvider.harvestTodoCommentsOnSave(document))
+	);
+
+	// Command to restore a task file from one of its snapshots
+	const restoreSnapshotCommand = vscode.commands.registerCommand('archyTask.restoreSnapshot', async () => {
+		await sidebarProvider.restoreSnapshot();
+	});
+
+	context.subscriptions.push(restoreSnapshotCommand);
+
 	// Developer command to clear donation banner date
 	const clearDonationBannerCommand = vscode.commands.registerCommand('archyTask.clearDonationBannerDate', async () => {
 		await context.globalState.update('donationBannerHiddenUntil', undefined);
@@ -217,4 +210,7 @@ export function activate(context: vscode.ExtensionContext) {
 
 }
 
-export function deactivate() {}
+export function deactivate(): Promise<void> | undefined {
+	// Edits still waiting for the save debounce are written before the extension host stops
+	return activeProvider?.flush();
+}
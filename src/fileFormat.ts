@@ -0,0 +1,67 @@
+import * as path from 'path';
+import * as vscode from 'vscode';
+import { addFartherRules, applyEditorConfig, EditorConfigRules, hasUtf8Bom, parseEditorConfig, toRules } from './editorConfig';
+import { DEFAULT_FORMAT, FileFormat } from './parser';
+
+/**
+ * Work out the format to write a task file in.
+ * `.editorconfig` rules win; otherwise the file keeps the line endings and indentation
+ * it already uses, and `files.eol` decides for files that don't show any yet.
+ * @param {vscode.Uri} fileUri - Task file
+ * @param {string} content - Its current content (without BOM)
+ * @returns {Promise<FileFormat>} Format to parse and write the file with
+ */
+export async function resolveFileFormat(fileUri: vscode.Uri, content: string): Promise<FileFormat> {
+    return applyEditorConfig(content, await readEditorConfig(fileUri), {
+        ...DEFAULT_FORMAT,
+        eol: getConfiguredEol(fileUri),
+        bom: await hasBom(fileUri)
+    });
+}
+
+function getConfiguredEol(fileUri: vscode.Uri): FileFormat['eol'] {
+    const eol = vscode.workspace.getConfiguration('files', fileUri).get<string>('eol');
+    if (eol === '\n' || eol === '\r\n') return eol;
+    // 'auto' follows the operating system
+    return process.platform === 'win32' ? '\r\n' : '\n';
+}
+
+/**
+ * Check the file on disk for a UTF-8 BOM (editor buffers don't include it in their text)
+ */
+async function hasBom(fileUri: vscode.Uri): Promise<boolean> {
+    try {
+        return hasUtf8Bom(await vscode.workspace.fs.readFile(fileUri));
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Collect the `.editorconfig` rules for a file, from the nearest file up to one marked `root = true`
+ * @param {vscode.Uri} fileUri - Task file
+ * @returns {Promise<EditorConfigRules>} Rules that apply (nearer files win)
+ */
+async function readEditorConfig(fileUri: vscode.Uri): Promise<EditorConfigRules> {
+    const rules: EditorConfigRules = {};
+    let dir = vscode.Uri.joinPath(fileUri, '..');
+
+    for (;;) {
+        let text: string | undefined;
+        try {
+            text = Buffer.from(await vscode.workspace.fs.readFile(vscode.Uri.joinPath(dir, '.editorconfig'))).toString('utf8');
+        } catch {
+            text = undefined;
+        }
+        if (text !== undefined) {
+            const relativePath = path.posix.relative(dir.path, fileUri.path);
+            const { properties, root } = parseEditorConfig(text, relativePath);
+            addFartherRules(rules, toRules(properties));
+            if (root) break;
+        }
+        const parent = vscode.Uri.joinPath(dir, '..');
+        if (parent.path === dir.path) break;
+        dir = parent;
+    }
+    return rules;
+}
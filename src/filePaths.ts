@@ -0,0 +1,60 @@
+import * as path from 'path';
+
+/** Characters that make an `archyTask.filePath` entry a glob */
+export const GLOB_CHARS = /[*?[{]/;
+
+/**
+ * Check whether a configured path is absolute, in POSIX (`/notes/TODO.md`)
+ * or Windows form (`C:\notes\TODO.md`, `\\server\share\TODO.md`)
+ * @param {string} filePath - Path from the settings
+ * @returns {boolean}
+ */
+export function isAbsolutePath(filePath: string): boolean {
+    return path.posix.isAbsolute(filePath) || path.win32.isAbsolute(filePath);
+}
+
+/**
+ * Split an absolute glob into the folder before its first glob character and the pattern below it
+ * @param {string} glob - Absolute glob such as `/notes/*.md` or `C:\notes\**\*.md`
+ * @returns {{ base: string; pattern: string }} Folder to search, and the pattern relative to it (with `/` separators)
+ */
+export function splitAbsoluteGlob(glob: string): { base: string; pattern: string } {
+    const firstGlobChar = glob.search(GLOB_CHARS);
+    const head = glob.substring(0, firstGlobChar);
+    const split = Math.max(head.lastIndexOf('/'), head.lastIndexOf('\\'));
+    return {
+        base: glob.substring(0, split + 1),
+        pattern: glob.substring(split + 1).replace(/\\/g, '/')
+    };
+}
+
+/**
+ * Expand the brace groups of a glob into separate globs, so several globs can be joined into
+ * one `{a,b}` group (VS Code globs do not nest braces)
+ * @param {string} glob - Glob such as `src/*.{js,map}`
+ * @returns {string[]} Globs without braces, such as `src/*.js` and `src/*.map`
+ */
+export function expandBraces(glob: string): string[] {
+    const open = glob.indexOf('{');
+    if (open === -1) return [glob];
+
+    // The matching brace, and the commas between the two at the same depth
+    const commas: number[] = [];
+    let depth = 0;
+    let close = -1;
+    for (let i = open + 1; i < glob.length && close === -1; i++) {
+        if (glob[i] === '{') depth++;
+        else if (glob[i] === '}' && depth > 0) depth--;
+        else if (glob[i] === '}') close = i;
+        else if (glob[i] === ',' && depth === 0) commas.push(i);
+    }
+    // An unclosed brace is matched literally
+    if (close === -1) return [glob];
+
+    const bounds = [open, ...commas, close];
+    const rest = expandBraces(glob.substring(close + 1));
+    return bounds.slice(1).flatMap((end, i) => {
+        const alternative = glob.substring(bounds[i] + 1, end);
+        return expandBraces(glob.substring(0, open) + alternative).flatMap(head => rest.map(tail => head + tail));
+    });
+}
@@ -0,0 +1,74 @@
+/** Replace `deleteCount` lines starting at `start` (in the old text) with `lines` */
+export interface LineChange {
+    start: number;
+    deleteCount: number;
+    lines: string[];
+}
+
+/** Above this many cells the middle part is replaced as one block instead of diffed */
+const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * Compute the line changes that turn one text into another (longest common subsequence)
+ * @param oldLines - Lines of the old text
+ * @param newLines - Lines of the new text
+ * @returns Non-overlapping changes in ascending order, in old-text line numbers
+ */
+export function diffLines(oldLines: string[], newLines: string[]): LineChange[] {
+    // Common head and tail never change
+    let head = 0;
+    while (head < oldLines.length && head < newLines.length && oldLines[head] === newLines[head]) {
+        head++;
+    }
+    let tail = 0;
+    while (
+        tail < oldLines.length - head && tail < newLines.length - head &&
+        oldLines[oldLines.length - 1 - tail] === newLines[newLines.length - 1 - tail]
+    ) {
+        tail++;
+    }
+
+    const oldMiddle = oldLines.slice(head, oldLines.length - tail);
+    const newMiddle = newLines.slice(head, newLines.length - tail);
+    if (oldMiddle.length === 0 && newMiddle.length === 0) return [];
+    if (oldMiddle.length === 0 || newMiddle.length === 0 || oldMiddle.length * newMiddle.length > MAX_DIFF_CELLS) {
+        return [{ start: head, deleteCount: oldMiddle.length, lines: newMiddle }];
+    }
+
+    // lengths[i][j]: LCS length of oldMiddle[i..] and newMiddle[j..]
+    const width = newMiddle.length + 1;
+    const lengths = new Uint32Array((oldMiddle.length + 1) * width);
+    for (let i = oldMiddle.length - 1; i >= 0; i--) {
+        for (let j = newMiddle.length - 1; j >= 0; j--) {
+            lengths[i * width + j] = oldMiddle[i] === newMiddle[j]
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    const changes: LineChange[] = [];
+    let current: LineChange | null = null;
+    let i = 0;
+    let j = 0;
+    while (i < oldMiddle.length || j < newMiddle.length) {
+        if (i < oldMiddle.length && j < newMiddle.length && oldMiddle[i] === newMiddle[j]) {
+            current = null;
+            i++;
+            j++;
+            continue;
+        }
+        if (!current) {
+            current = { start: head + i, deleteCount: 0, lines: [] };
+            changes.push(current);
+        }
+        if (j >= newMiddle.length || (i < oldMiddle.length && lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+            current.deleteCount++;
+            i++;
+        } else {
+            current.lines.push(newMiddle[j]);
+            j++;
+        }
+    }
+    return changes;
+}
+
@@ -0,0 +1,241 @@
+import { Item } from './models';
+import { FileFormat, ParseResult, restoreItemIds } from './parser';
+
+/** A task file as last read from or written to disk */
+export interface FileSnapshot extends ParseResult {
+    content: string;
+    format: FileFormat;
+}
+
+/** Which side wins when a task was changed on both sides */
+export type MergeSide = 'ours' | 'theirs';
+
+/** A task that could not be merged automatically */
+export interface MergeConflict {
+    id: string;
+    title: string;
+    /** Changed differently on both sides, or changed on one side and deleted on the other */
+    kind: 'edited' | 'deleted';
+    /** Fields changed on both sides (empty for `deleted`) */
+    fields: string[];
+}
+
+export interface MergeResult extends ParseResult {
+    conflicts: MergeConflict[];
+}
+
+/** Fields merged one by one; the rest (index, webview-only state) come from our side */
+const MERGED_FIELDS = [
+    'type', 'title', 'indent', 'isChecked', 'status', 'doneMark',
+    'priority', 'due', 'dueStyle', 'link', 'note', 'tags', 'passthrough', 'hasPersistentId', 'raw'
+];
+
+/** Stands for the Archive heading when main and archived items are merged as one list */
+const ARCHIVE_MARKER = '\u0000archive';
+
+type Fields = Record<string, unknown>;
+
+/**
+ * Copy a parsed file so later edits to the live state don't change it
+ * @param content - File content the state was parsed from or written as
+ * @param state - Parsed state
+ * @param format - Format of the file
+ * @returns Snapshot to merge against later
+ */
+export function takeSnapshot(content: string, state: ParseResult, format: FileFormat): FileSnapshot {
+    return {
+        content,
+        format,
+        items: JSON.parse(JSON.stringify(state.items)),
+        archivedItems: JSON.parse(JSON.stringify(state.archivedItems)),
+        preamble: [...state.preamble],
+        archivePreamble: [...state.archivePreamble],
+        archiveHeading: state.archiveHeading
+    };
+}
+
+/**
+ * Give items parsed from the changed file the ids of the snapshot items they came from
+ * @param base - Snapshot of the file before the change
+ * @param theirs - Freshly parsed file, updated in place
+ */
+export function matchItemIds(base: ParseResult, theirs: ParseResult): void {
+    matchItems([...base.items, ...base.archivedItems], [...theirs.items, ...theirs.archivedItems]);
+}
+
+/**
+ * Give freshly parsed items the ids of the items they were before.
+ * Unchanged titles are matched by restoreItemIds; a task edited in place is matched
+ * by position, as it still sits between the same unchanged neighbours.
+ * @param baseItems - Items before (main + archived), or just their ids, types and titles
+ * @param theirItems - Freshly parsed items (main + archived), updated in place
+ */
+export function matchItems(baseItems: Pick<Item, 'id' | 'type' | 'title'>[], theirItems: Item[]): void {
+    restoreItemIds(baseItems, theirItems);
+
+    const baseIndex = new Map(baseItems.map((item, i) => [item.id, i] as [string, number]));
+    const claimed = new Set(theirItems.map(item => item.id));
+
+    let anchor = -1;
+    let run: Item[] = [];
+    const pairRun = (end: number) => {
+        const candidates = anchor < end ? baseItems.slice(anchor + 1, end).filter(item => !claimed.has(item.id)) : [];
+        // Only a one-to-one replacement is taken as an edit; anything else is adds and deletes
+        if (run.length > 0 && run.length === candidates.length && run.every((item, i) => item.type === candidates[i].type)) {
+            run.forEach((item, i) => {
+                item.id = candidates[i].id;
+                claimed.add(item.id);
+            });
+        }
+        run = [];
+    };
+
+    for (const item of theirItems) {
+        const index = baseIndex.get(item.id);
+        if (index === undefined) {
+            if (!item.hasPersistentId) run.push(item);
+            continue;
+        }
+        pairRun(index);
+        anchor = index;
+    }
+    pairRun(baseItems.length);
+}
+
+/**
+ * Three-way merge of a task file, keyed on item ids.
+ * Changes made on one side only are taken as they are; a field changed differently on
+ * both sides, or a task changed on one side and deleted on the other, is a conflict
+ * that `prefer` decides and that is reported in the result.
+ * @param base - Common ancestor (the file as last loaded or written)
+ * @param ours - State edited in the sidebar
+ * @param theirs - File as it is on disk now (ids matched with matchItemIds)
+ * @param prefer - Side that wins conflicts
+ * @returns Merged state and the conflicts found
+ */
+export function mergeFileStates(base: ParseResult, ours: ParseResult, theirs: ParseResult, prefer: MergeSide = 'theirs'): MergeResult {
+    const baseById = indexItems(base);
+    const oursById = indexItems(ours);
+    const theirsById = indexItems(theirs);
+    const conflicts: MergeConflict[] = [];
+    const merged = new Map<string, Item>();
+
+    for (const id of new Set([...oursById.keys(), ...theirsById.keys(), ...baseById.keys()])) {
+        const baseItem = baseById.get(id);
+        const ourItem = oursById.get(id);
+        const theirItem = theirsById.get(id);
+
+        if (ourItem && theirItem) {
+            const fields = MERGED_FIELDS.filter(field => isConflicting(field, baseItem, ourItem, theirItem));
+            if (fields.length > 0) {
+                conflicts.push({ id, title: ourItem.title, kind: 'edited', fields });
+            }
+            merged.set(id, mergeItem(baseItem, ourItem, theirItem, prefer));
+            continue;
+        }
+
+        const kept = ourItem ?? theirItem;
+        if (!kept) continue; // Deleted on both sides
+        if (!baseItem) {
+            merged.set(id, kept); // Added on one side
+            continue;
+        }
+        // Deleted on one side: a change on the other side is a conflict, otherwise the deletion wins
+        if (!MERGED_FIELDS.some(field => differs(field, baseItem, kept))) continue;
+        conflicts.push({ id, title: kept.title, kind: 'deleted', fields: [] });
+        const keptSide: MergeSide = ourItem ? 'ours' : 'theirs';
+        if (prefer === keptSide) {
+            merged.set(id, kept);
+        }
+    }
+
+    const order = mergeOrder(toSequence(base), toSequence(ours), toSequence(theirs), merged);
+    const archiveStart = order.indexOf(ARCHIVE_MARKER);
+    const toItems = (ids: string[]) => ids.map(id => merged.get(id)).filter((item): item is Item => item !== undefined);
+
+    return {
+        items: toItems(order.slice(0, archiveStart)),
+        archivedItems: toItems(order.slice(archiveStart + 1)),
+        preamble: mergeValue(base.preamble, ours.preamble, theirs.preamble, prefer),
+        archivePreamble: mergeValue(base.archivePreamble, ours.archivePreamble, theirs.archivePreamble, prefer),
+        archiveHeading: mergeValue(base.archiveHeading, ours.archiveHeading, theirs.archiveHeading, prefer),
+        conflicts
+    };
+}
+
+function indexItems(state: ParseResult): Map<string, Item> {
+    return new Map([...state.items, ...state.archivedItems].map(item => [item.id, item] as [string, Item]));
+}
+
+function toSequence(state: ParseResult): string[] {
+    return [...state.items.map(item => item.id), ARCHIVE_MARKER, ...state.archivedItems.map(item => item.id)];
+}
+
+function field(item: Item | undefined, name: string): unknown {
+    return item ? (item as unknown as Fields)[name] : undefined;
+}
+
+function same(a: unknown, b: unknown): boolean {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function differs(name: string, a: Item, b: Item): boolean {
+    return !same(field(a, name), field(b, name));
+}
+
+function isConflicting(name: string, base: Item | undefined, ours: Item, theirs: Item): boolean {
+    const ourValue = field(ours, name);
+    const theirValue = field(theirs, name);
+    const baseValue = field(base, name);
+    return !same(ourValue, theirValue) && !same(ourValue, baseValue) && !same(theirValue, baseValue);
+}
+
+/**
+ * Three-way merge of a single value
+ * @returns The changed side's value, or the preferred side's when both changed it
+ */
+function mergeValue<T>(base: T, ours: T, theirs: T, prefer: MergeSide): T {
+    if (same(ours, theirs) || same(theirs, base)) return ours;
+    if (same(ours, base)) return theirs;
+    return prefer === 'ours' ? ours : theirs;
+}
+
+function mergeItem(base: Item | undefined, ours: Item, theirs: Item, prefer: MergeSide): Item {
+    const result = { ...ours } as unknown as Fields;
+    for (const name of MERGED_FIELDS) {
+        result[name] = mergeValue(field(base, name), field(ours, name), field(theirs, name), prefer);
+    }
+    return result as unknown as Item;
+}
+
+/**
+ * Merge the item order of both sides.
+ * The side that reordered kept items wins (ours if both did); items only the other side
+ * has are inserted after the item they follow there.
+ * @returns Merged ids in order, including the archive marker
+ */
+function mergeOrder(base: string[], ours: string[], theirs: string[], kept: Map<string, unknown>): string[] {
+    const shared = (ids: string[]) => ids.filter(id => id === ARCHIVE_MARKER || (base.includes(id) && ours.includes(id) && theirs.includes(id)));
+    const oursReordered = !same(shared(ours), shared(base));
+    const [primary, secondary] = oursReordered ? [ours, theirs] : [theirs, ours];
+
+    const isKept = (id: string) => id === ARCHIVE_MARKER || kept.has(id);
+    const order = primary.filter(isKept);
+    const placed = new Set(order);
+
+    secondary.forEach((id, i) => {
+        if (placed.has(id) || !isKept(id)) return;
+        let at = 0;
+        for (let j = i - 1; j >= 0; j--) {
+            const anchor = order.indexOf(secondary[j]);
+            if (anchor !== -1) {
+                at = anchor + 1;
+                break;
+            }
+        }
+        order.splice(at, 0, id);
+        placed.add(id);
+    });
+
+    return order;
+}
@@ -1,15 +1,50 @@
 export type ItemType = 'todo' | 'heading';
 
+/** How a due date is written in the file: `📅 2026-10-25` or `due:2026-10-25` */
+export type DueStyle = 'emoji' | 'keyword';
+
+/** Priority read from a marker in the title (🔺⏫🔼🔽⏬, (A)/(B)/(C), !!!/!!/!) */
+export type Priority = 'highest' | 'high' | 'medium' | 'low' | 'lowest';
+
+/** Location in the workspace a task points back to, written as `[path:line](path#Lline)` */
+export interface CodeLink {
+    /** Path relative to the task file's folder, with `/` separators */
+    path: string;
+    /** One-based line number */
+    line: number;
+}
+
+/** States beyond open / done: `[/]`, `[-]` and `[>]` */
+export type TaskStatus = 'in-progress' | 'cancelled' | 'deferred';
+
+/** Original lines of an item, with the canonical text they stood for when read */
+export interface RawLines {
+    lines: string[];
+    canonical: string;
+}
+
+export function generateItemId(): string {
+    return Date.now().toString() + Math.random().toString(36).substr(2, 9);
+}
+
 export abstract class Item {
     public id: string;
+    /** Whether the id is written to the file (as a trailing `<!-- id:... -->` comment) */
+    public hasPersistentId: boolean = false;
     public indent: number;
     public title: string;
     public index: number;
     public abstract type: ItemType;
     public note: string = "";
+    /** `#tag` tokens found in the title (the tokens stay in the title) */
+    public tags: string[] = [];
+    /** Unrecognized markdown lines that follow this item in the file, kept verbatim */
+    public passthrough: string[] = [];
+    /** Lines the item (and its note) was read from, written back as-is while the item is unchanged */
+    public raw: RawLines | null = null;
 
     constructor(indent: number, title: string, index: number) {
-        this.id = Date.now().toString() + Math.random().toString(36).substr(2, 9);
+        this.id = generateItemId();
         this.indent = indent;
         this.title = title;
         this.index = index;
@@ -19,6 +54,17 @@ export abstract class Item {
 export class ItemTodo extends Item {
     public type: ItemType = 'todo';
     public isChecked: boolean;
+    /** Extended state; null for a plain open or done task */
+    public status: TaskStatus | null = null;
+    /** Done marker as written in the file (`x` or `X`) */
+    public doneMark: 'x' | 'X' = 'x';
+    /** Priority marker found in the title (the marker stays in the title) */
+    public priority: Priority | null = null;
+    /** Due date as YYYY-MM-DD, kept out of the visible title */
+    public due: string | null = null;
+    public dueStyle: DueStyle = 'emoji';
+    /** Code location the task was created from, kept out of the visible title */
+    public link: CodeLink | null = null;
 
     constructor(indent: number, title: string, index: number, isChecked: boolean = false) {
         super(indent, title, index);
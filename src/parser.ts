@@ -1,49 +1,190 @@
-import { Item, ItemHeading, ItemTodo } from './models';
+import { CodeLink, DueStyle, generateItemId, Item, ItemHeading, ItemTodo, Priority, TaskStatus } from './models';
+
+/** A task line: indentation, `- [mark] ` and the title */
+export const TODO_LINE_PATTERN = /^(\s*)-\s\[([ xX/>-])\]\s(.*)$/;
+const PERSISTENT_ID_PATTERN = /\s*<!--\s*id:([A-Za-z0-9_-]+)\s*-->\s*$/;
+const STATUS_MARKS: Record<string, TaskStatus> = { '/': 'in-progress', '-': 'cancelled', '>': 'deferred' };
+const PRIORITY_EMOJI: Record<string, Priority> = { '🔺': 'highest', '⏫': 'high', '🔼': 'medium', '🔽': 'low', '⏬': 'lowest' };
+const PRIORITY_LETTERS: Record<string, Priority> = { A: 'high', B: 'medium', C: 'low' };
+const PRIORITY_BANGS: Record<string, Priority> = { '!!!': 'high', '!!': 'medium', '!': 'low' };
+const TAG_PATTERN = /(^|\s)#([\p{L}\p{N}_](?:[\p{L}\p{N}_\-/.]*[\p{L}\p{N}_])?)/gu;
+const DUE_PATTERN = /(^|\s)(📅\s?|due:)(\d{4}-\d{2}-\d{2})(?=\s|$)/u;
+const LINK_PATTERN = /(^|\s)\[([^\]]+)\]\(([^)\s]+)#L(\d+)\)(?=\s|$)/g;
+
+/** How a task file is laid out, reproduced when it is written */
+export interface FileFormat {
+    eol: '\n' | '\r\n';
+    /** Whether the file starts with a UTF-8 byte order mark (added when writing to disk) */
+    bom: boolean;
+    /** One level of task indentation: a tab or N spaces */
+    indent: string;
+    /** Indentation of note fences and note lines */
+    noteIndent: string;
+    /** Whether the last line ends with a line break */
+    finalNewline: boolean;
+}
+
+export const DEFAULT_FORMAT: FileFormat = { eol: '\n', bom: false, indent: '\t', noteIndent: '    ', finalNewline: true };
 
 export interface ParseResult {
     items: Item[];
     archivedItems: Item[];
+    /** Unrecognized lines before the first item, kept verbatim */
+    preamble: string[];
+    /** Unrecognized lines between the Archive heading and the first archived item */
+    archivePreamble: string[];
+    /** The Archive heading as written, so it is kept even with nothing under it */
+    archiveHeading?: string;
+}
+
+/**
+ * Detect the line endings and indentation a task file already uses
+ * @param content - File content
+ * @param fallback - Format for what the content doesn't show (no line breaks, no nested tasks)
+ * @returns Detected format (the BOM is taken from the fallback)
+ */
+export function detectFormat(content: string, fallback: FileFormat = DEFAULT_FORMAT): FileFormat {
+    const crlfCount = (content.match(/\r\n/g) || []).length;
+    const lfCount = (content.match(/\n/g) || []).length - crlfCount;
+    const eol = crlfCount + lfCount === 0 ? fallback.eol : crlfCount > lfCount ? '\r\n' : '\n';
+
+    // Leading whitespace of nested tasks: tabs, or the narrowest run of spaces
+    let indent = fallback.indent;
+    const taskIndents = [...content.matchAll(/^([ \t]+)-\s\[[ xX/>-]\]\s/gm)].map(match => match[1]);
+    if (taskIndents.length > 0) {
+        const tabbed = taskIndents.filter(value => value.includes('\t')).length;
+        indent = tabbed * 2 >= taskIndents.length
+            ? '\t'
+            : ' '.repeat(Math.min(...taskIndents.filter(value => !value.includes('\t')).map(value => value.length)));
+    }
+
+    const fence = content.match(/^([ \t]*)```plane/m);
+    const finalNewline = content.replace(/^\uFEFF/, '') === '' ? fallback.finalNewline : content.endsWith('\n');
+    return { eol, bom: fallback.bom, indent, noteIndent: fence ? fence[1] : fallback.noteIndent, finalNewline };
+}
+
+/** A parsed task file with the place of each item, for editor features */
+export interface LocatedParseResult extends ParseResult {
+    /** Line (zero-based) of each item's own line */
+    itemLines: Map<Item, number>;
+    /** First and last line of each item's note (the fences included) */
+    noteLines: Map<Item, { start: number; end: number }>;
+    /** Line of the Archive heading, if there is one */
+    archiveLine: number | null;
 }
 
-export function parseMarkdown(content: string): ParseResult {
-    const lines = content.split('\n');
+/**
+ * Parse a task file
+ * @param content - File content (any line endings, with or without a BOM)
+ * @param format - Layout of the file, used to read space indentation and to recognize unchanged items
+ */
+export function parseMarkdown(content: string, format: FileFormat = DEFAULT_FORMAT): ParseResult {
+    const { items, archivedItems, preamble, archivePreamble, archiveHeading } = parseMarkdownWithLines(content, format);
+    return { items, archivedItems, preamble, archivePreamble, archiveHeading };
+}
+
+/**
+ * Parse a task file and remember the line each item was read from
+ * @param content - File content (any line endings, with or without a BOM)
+ * @param format - Layout of the file
+ */
+export function parseMarkdownWithLines(content: string, format: FileFormat = DEFAULT_FORMAT): LocatedParseResult {
+    const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+    // N-space files use N spaces per level; tab files still accept 4 spaces
+    const spacesPerLevel = format.indent.startsWith(' ') ? format.indent.length : 4;
+    // A trailing newline is not an extra (empty) passthrough line
+    if (lines.length > 0 && lines[lines.length - 1] === '') {
+        lines.pop();
+    }
     const items: Item[] = [];
     const archivedItems: Item[] = [];
+    const preamble: string[] = [];
+    const archivePreamble: string[] = [];
     let currentIndex = 0;
     let currentNote: string[] = [];
+    let noteLines: string[] = [];
     let collectingNote = false;
+    let inOtherFence = false;
     let lastItem: Item | null = null;
     let inArchiveSection = false;
+    // Indent of the previous task in the section (-1: none yet), used to normalize jumps of several levels
+    let lastTodoIndent = -1;
+    const seenIds = new Set<string>();
+    // Ids read from the file that were replaced because an earlier task had them
+    const readIds = new Map<Item, string>();
+    // Original lines of each item (its own line plus its note)
+    const rawLines = new Map<Item, string[]>();
+    const itemLines = new Map<Item, number>();
+    const noteRanges = new Map<Item, { start: number; end: number }>();
+    let archiveLine: number | null = null;
+    let archiveHeading: string | undefined;
+
+    // Lines we don't understand stay attached to the item above them
+    const keepLine = (line: string) => {
+        if (lastItem) {
+            lastItem.passthrough.push(line);
+        } else if (inArchiveSection) {
+            archivePreamble.push(line);
+        } else {
+            preamble.push(line);
+        }
+    };
 
     for (let i = 0; i < lines.length; i++) {
         const line = lines[i];
         const trimmedLine = line.trim();
 
+        // Other fenced code blocks are passed through untouched
+        if (inOtherFence) {
+            if (trimmedLine.startsWith('```')) {
+                inOtherFence = false;
+            }
+            keepLine(line);
+            continue;
+        }
+
         // Handle Note Block
         if (trimmedLine.startsWith('```plane')) {
             collectingNote = true;
             currentNote = [];
+            noteLines = [line];
             continue;
         }
         if (collectingNote) {
+            noteLines.push(line);
             if (trimmedLine.startsWith('```')) {
                 collectingNote = false;
                 if (lastItem) {
                     lastItem.note = currentNote.join('\n');
+                    rawLines.get(lastItem)?.push(...noteLines);
+                    noteRanges.set(lastItem, { start: i - noteLines.length + 1, end: i });
+                } else {
+                    // A note without an owner is kept as-is
+                    noteLines.forEach(keepLine);
                 }
             } else {
                 currentNote.push(line.trim()); // Keep indentation? Spec says "ノートはmdには存在するがメインビューには表示しない"
             }
             continue;
         }
+        if (trimmedLine.startsWith('```')) {
+            inOtherFence = true;
+            keepLine(line);
+            continue;
+        }
 
         // Handle Heading
         if (trimmedLine.startsWith('## ')) {
             const title = trimmedLine.substring(3).trim();
+            // A task below a heading is never nested under a task of the section above
+            lastTodoIndent = -1;
             
             // Check if this is the Archive heading
             if (title === 'Archive') {
                 inArchiveSection = true;
+                archiveLine = i;
+                archiveHeading = line;
+                lastItem = null;
                 continue; // Don't add Archive heading to items
             }
             
@@ -51,17 +192,34 @@ export function parseMarkdown(content: string): ParseResult {
             inArchiveSection = false;
             
             const heading = new ItemHeading(title, currentIndex++);
+            heading.tags = extractTags(title);
             items.push(heading);
+            rawLines.set(heading, [line]);
+            itemLines.set(heading, i);
             lastItem = heading;
             continue;
         }
 
         // Handle Todo
-        const todoMatch = line.match(/^(\s*)-\s\[([ x])\]\s(.*)$/);
+        const todoMatch = line.match(TODO_LINE_PATTERN);
         if (todoMatch) {
             const indentStr = todoMatch[1];
-            const isChecked = todoMatch[2] === 'x';
-            const title = todoMatch[3];
+            const mark = todoMatch[2];
+            const isChecked = mark === 'x' || mark === 'X';
+            let title = todoMatch[3];
+
+            // Persistent id is kept out of the visible title
+            const idMatch = title.match(PERSISTENT_ID_PATTERN);
+            let persistentId: string | null = null;
+            if (idMatch) {
+                title = title.substring(0, idMatch.index);
+                persistentId = idMatch[1];
+            }
+
+            const due = extractDue(title);
+            title = due.title;
+            const link = extractLink(title);
+            title = link.title;
             
             // Calculate indent level based on tabs or 4 spaces
             // Spec says: "インデントの表現にはタブ (\t) を使用"
@@ -70,13 +228,34 @@ export function parseMarkdown(content: string): ParseResult {
             if (indentStr.includes('\t')) {
                  indent = indentStr.split('\t').length - 1;
             } else {
-                 indent = Math.floor(indentStr.length / 4);
+                 indent = Math.floor(indentStr.length / spacesPerLevel);
             }
             
-            // Spec: "インデント0と1のみ"
-            if (indent > 1) indent = 1;
+            // A task can be at most one level below the task above it
+            if (indent > lastTodoIndent + 1) indent = lastTodoIndent + 1;
+            lastTodoIndent = indent;
 
             const todo = new ItemTodo(indent, title, currentIndex++, isChecked);
+            if (due.due) {
+                todo.due = due.due;
+                todo.dueStyle = due.dueStyle;
+            }
+            todo.link = link.link;
+            todo.tags = extractTags(title);
+            todo.priority = extractPriority(title);
+            if (mark === 'X') {
+                todo.doneMark = 'X';
+            }
+            todo.status = STATUS_MARKS[mark] ?? null;
+            if (persistentId) {
+                // A copied line may repeat an id; the second one gets a fresh id
+                todo.id = seenIds.has(persistentId) ? generateItemId() : persistentId;
+                todo.hasPersistentId = true;
+                if (todo.id !== persistentId) {
+                    readIds.set(todo, persistentId);
+                }
+                seenIds.add(todo.id);
+            }
             
             // Add to appropriate list
             if (inArchiveSection) {
@@ -86,58 +265,330 @@ export function parseMarkdown(content: string): ParseResult {
             } else {
                 items.push(todo);
             }
+            rawLines.set(todo, [line]);
+            itemLines.set(todo, i);
             lastItem = todo;
             continue;
         }
+
+        keepLine(line);
     }
 
-    return { items, archivedItems };
+    // An unterminated note fence is kept verbatim rather than dropped
+    if (collectingNote) {
+        noteLines.forEach(keepLine);
+    }
+
+    items.forEach(item => setRaw(item, rawLines.get(item), false, format, readIds.get(item)));
+    archivedItems.forEach(item => setRaw(item, rawLines.get(item), true, format, readIds.get(item)));
+
+    return { items, archivedItems, preamble, archivePreamble, archiveHeading, itemLines, noteLines: noteRanges, archiveLine };
 }
 
-export function stringifyItems(items: Item[], archivedItems: Item[] = []): string {
-    let result = '';
+/**
+ * Lines an item was read from: its own line through the end of its note
+ * @param parsed - Result of parseMarkdownWithLines
+ * @param item - One of its items
+ * @returns First and last line (zero-based), or undefined for an item that isn't from the file
+ */
+export function getItemLines(parsed: LocatedParseResult, item: Item): { start: number; end: number } | undefined {
+    const start = parsed.itemLines.get(item);
+    if (start === undefined) return undefined;
+    return { start, end: parsed.noteLines.get(item)?.end ?? start };
+}
+
+/**
+ * Serialize items back to markdown
+ * @param items - Main items
+ * @param archivedItems - Items under the Archive heading
+ * @param preamble - Unrecognized lines to emit before the first item
+ * @param archivePreamble - Unrecognized lines to emit right after the Archive heading
+ * @param format - Line endings and indentation to write (the BOM is left to the caller)
+ * @param archiveHeading - Archive heading as read from the file; written even when the archive is empty
+ */
+export function stringifyItems(
+    items: Item[],
+    archivedItems: Item[] = [],
+    preamble: string[] = [],
+    archivePreamble: string[] = [],
+    format: FileFormat = DEFAULT_FORMAT,
+    archiveHeading?: string
+): string {
+    let result = stringifyPassthrough(preamble);
 
     for (const item of items) {
-        if (item.type === 'heading') {
+        result += stringifyItem(item, false, format);
+        result += stringifyPassthrough(item.passthrough);
+    }
+
+    // Add Archive section if there are archived items (or the file had one)
+    if (archivedItems.length > 0 || archivePreamble.length > 0 || archiveHeading !== undefined) {
+        result += `${archiveHeading ?? '## Archive'}\n`;
+        result += stringifyPassthrough(archivePreamble);
+        for (const item of archivedItems) {
+            result += stringifyItem(item, true, format);
+            result += stringifyPassthrough(item.passthrough);
+        }
+    }
+
+    if (!format.finalNewline) {
+        result = result.replace(/\n$/, '');
+    }
+    return format.eol === '\n' ? result : result.replace(/\n/g, format.eol);
+}
+
+/**
+ * Serialize a parsed (and possibly edited) task file
+ * @param state - Items, preambles and Archive heading
+ * @param format - Layout to write
+ */
+export function stringifyState(state: ParseResult, format: FileFormat = DEFAULT_FORMAT): string {
+    return stringifyItems(state.items, state.archivedItems, state.preamble, state.archivePreamble, format, state.archiveHeading);
+}
+
+/**
+ * Serialize one item (its line and note).
+ * An item that is unchanged since it was read is written with its original lines,
+ * so formatting the parser doesn't keep (spacing, fences) survives a save.
+ * @param item - Item to write
+ * @param archived - Whether the item is under the Archive heading
+ * @param format - Indentation to use
+ */
+function stringifyItem(item: Item, archived: boolean, format: FileFormat): string {
+    const canonical = stringifyCanonical(item, archived, format);
+    if (item.raw && item.raw.canonical === canonical) {
+        return stringifyPassthrough(item.raw.lines);
+    }
+    return canonical;
+}
+
+function stringifyCanonical(item: Item, archived: boolean, format: FileFormat): string {
+    let result = '';
+    if (item.type === 'heading') {
+        // Headings under the Archive heading are not kept
+        if (!archived) {
             result += `## ${item.title}\n`;
-        } else if (item.type === 'todo') {
-            const todo = item as ItemTodo;
-            const indent = '\t'.repeat(todo.indent);
-            const check = todo.isChecked ? 'x' : ' ';
-            result += `${indent}- [${check}] ${todo.title}\n`;
         }
+    } else if (item.type === 'todo') {
+        const todo = item as ItemTodo;
+        const indent = format.indent.repeat(todo.indent);
+        // Archived items are always checked (unless they carry another state)
+        const check = stringifyCheck(todo, archived);
+        result += `${indent}- [${check}] ${todo.title}${stringifyLink(todo)}${stringifyDue(todo)}${stringifyPersistentId(todo)}\n`;
+    }
 
-        if (item.note && item.note.trim().length > 0) {
-            result += `    \`\`\`plane\n`;
-            const noteLines = item.note.split('\n');
-            for(const line of noteLines) {
-                 result += `    ${line}\n`;
-            }
-            result += `    \`\`\`\n`;
+    if (item.note && item.note.trim().length > 0) {
+        result += `${format.noteIndent}\`\`\`plane\n`;
+        const noteLines = item.note.split('\n');
+        for(const line of noteLines) {
+             result += `${format.noteIndent}${line}\n`;
         }
+        result += `${format.noteIndent}\`\`\`\n`;
     }
+    return result;
+}
 
-    // Add Archive section if there are archived items
-    if (archivedItems.length > 0) {
-        result += `## Archive\n`;
-        for (const item of archivedItems) {
-            if (item.type === 'todo') {
-                const todo = item as ItemTodo;
-                // Archived items are always checked
-                const indent = '\t'.repeat(todo.indent);
-                result += `${indent}- [x] ${todo.title}\n`;
-            }
+/**
+ * Remember the lines an item was read from, and what they stand for
+ * @param readId - Id as written in the file, if the item got another one; the line then
+ *   differs from the item and is written again with the new id
+ */
+function setRaw(item: Item, lines: string[] | undefined, archived: boolean, format: FileFormat, readId?: string) {
+    if (lines) {
+        const asRead = readId ? Object.assign(Object.create(Object.getPrototypeOf(item)), item, { id: readId }) : item;
+        item.raw = { lines, canonical: stringifyCanonical(asRead, archived, format) };
+    }
+}
 
-            if (item.note && item.note.trim().length > 0) {
-                result += `    \`\`\`plane\n`;
-                const noteLines = item.note.split('\n');
-                for(const line of noteLines) {
-                     result += `    ${line}\n`;
-                }
-                result += `    \`\`\`\n`;
-            }
+/**
+ * Take a due date token (`📅 YYYY-MM-DD` or `due:YYYY-MM-DD`) out of a task title
+ * @param title - Task title as written in the file
+ * @returns The remaining title, plus the date and how it was written (if a valid date was found)
+ */
+export function extractDue(title: string): { title: string; due: string | null; dueStyle: DueStyle } {
+    const match = title.match(DUE_PATTERN);
+    if (!match || match.index === undefined || !isValidDate(match[3])) {
+        return { title, due: null, dueStyle: 'emoji' };
+    }
+    const rest = (title.substring(0, match.index) + title.substring(match.index + match[0].length)).trim();
+    // A title that is only a date stays as it is
+    if (rest === '') {
+        return { title, due: null, dueStyle: 'emoji' };
+    }
+    return { title: rest, due: match[3], dueStyle: match[2] === 'due:' ? 'keyword' : 'emoji' };
+}
+
+/**
+ * Take a code link (`[path:line](path#Lline)`, as added by archyTask.addSelectionAsTask) out of a task title.
+ * Other Markdown links stay in the title.
+ * @param title - Task title as written in the file
+ * @returns The remaining title, plus the link if one was found
+ */
+export function extractLink(title: string): { title: string; link: CodeLink | null } {
+    for (const match of title.matchAll(LINK_PATTERN)) {
+        if (match.index === undefined) continue;
+        let path: string;
+        try {
+            path = decodeURI(match[3]);
+        } catch {
+            continue;
         }
+        const line = Number(match[4]);
+        if (line < 1 || match[2] !== `${path}:${line}`) continue;
+        const rest = (title.substring(0, match.index) + title.substring(match.index + match[0].length)).trim();
+        // A title that is only a link stays as it is
+        if (rest === '') break;
+        return { title: rest, link: { path, line } };
     }
+    return { title, link: null };
+}
 
-    return result;
+/**
+ * Write a code link as a Markdown link, so it can also be followed from the file itself
+ * @param link - Code link
+ * @returns `[path:line](path#Lline)`
+ */
+export function formatLink(link: CodeLink): string {
+    const target = encodeURI(link.path).replace(/\(/g, '%28').replace(/\)/g, '%29');
+    return `[${link.path}:${link.line}](${target}#L${link.line})`;
+}
+
+/**
+ * Find the distinct `#tag` tokens in a title
+ * @param title - Item title
+ * @returns Tags without the '#', first spelling wins for case variants
+ */
+export function extractTags(title: string): string[] {
+    const tags: string[] = [];
+    const seen = new Set<string>();
+    for (const match of title.matchAll(TAG_PATTERN)) {
+        const tag = match[2];
+        // Purely numeric tokens are issue numbers, not tags
+        if (/^\d+$/.test(tag) || seen.has(tag.toLowerCase())) continue;
+        seen.add(tag.toLowerCase());
+        tags.push(tag);
+    }
+    return tags;
+}
+
+/**
+ * Read the priority marker of a title
+ * @param title - Task title
+ * @returns The priority, or null when the title has no marker
+ */
+export function extractPriority(title: string): Priority | null {
+    for (const ch of title) {
+        if (PRIORITY_EMOJI[ch]) return PRIORITY_EMOJI[ch];
+    }
+    const letter = title.match(/^\(([ABC])\)(?=\s|$)/);
+    if (letter) return PRIORITY_LETTERS[letter[1]];
+    const bangs = title.match(/(?:^|\s)(!{1,3})(?=\s|$)/);
+    if (bangs) return PRIORITY_BANGS[bangs[1]];
+    return null;
+}
+
+function isValidDate(value: string): boolean {
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function stringifyCheck(todo: ItemTodo, archived: boolean): string {
+    if (todo.status) {
+        const mark = Object.keys(STATUS_MARKS).find(key => STATUS_MARKS[key] === todo.status);
+        if (mark) return mark;
+    }
+    if (todo.isChecked || archived) {
+        return todo.doneMark === 'X' ? 'X' : 'x';
+    }
+    return ' ';
+}
+
+function stringifyDue(todo: ItemTodo): string {
+    if (!todo.due) return '';
+    return todo.dueStyle === 'keyword' ? ` due:${todo.due}` : ` 📅 ${todo.due}`;
+}
+
+function stringifyLink(todo: ItemTodo): string {
+    return todo.link ? ` ${formatLink(todo.link)}` : '';
+}
+
+function stringifyPersistentId(item: Item): string {
+    return item.hasPersistentId ? ` <!-- id:${item.id} -->` : '';
+}
+
+function stringifyPassthrough(lines: string[] | undefined): string {
+    if (!lines || lines.length === 0) return '';
+    return lines.map(line => `${line}\n`).join('');
+}
+
+/**
+ * Keep passthrough lines of items that were removed from the list.
+ * Lines move to the nearest preceding item that still exists, or to the preamble.
+ * @param previousItems - Items as they were before the change (main + archived, in file order)
+ * @param nextItems - Items after the change (main + archived)
+ * @param preamble - Preamble lines, appended to when no preceding item survives
+ */
+export function carryOverPassthrough(previousItems: Item[], nextItems: Item[], preamble: string[]): void {
+    const nextById = new Map(nextItems.map(item => [item.id, item] as [string, Item]));
+    let lastSurvivor: Item | null = null;
+
+    for (const item of previousItems) {
+        const survivor = nextById.get(item.id);
+        if (survivor) {
+            lastSurvivor = survivor;
+            continue;
+        }
+        if (!item.passthrough || item.passthrough.length === 0) continue;
+
+        if (lastSurvivor) {
+            lastSurvivor.passthrough = [...(lastSurvivor.passthrough || []), ...item.passthrough];
+        } else {
+            preamble.push(...item.passthrough);
+        }
+    }
+}
+
+/**
+ * Mark an item so its id is written to the file.
+ * Only items that are referenced from elsewhere need this (tasks created from code,
+ * tasks the stored undo history refers to, which the webview pins itself); the rest
+ * keep their identity across reloads through restoreItemIds.
+ * @param item - Item whose id should be persisted
+ * @returns The persisted id
+ */
+export function ensurePersistentId(item: Item): string {
+    item.hasPersistentId = true;
+    return item.id;
+}
+
+/**
+ * Give freshly parsed items the ids they had before a reload.
+ * Items with a persistent id keep it; the others are matched to previous
+ * items of the same type and title, in file order.
+ * @param previousItems - Items from the last load (main + archived), or just their ids, types and titles
+ * @param nextItems - Freshly parsed items (main + archived), updated in place
+ */
+export function restoreItemIds(previousItems: Pick<Item, 'id' | 'type' | 'title'>[], nextItems: Item[]): void {
+    const claimedIds = new Set(nextItems.filter(item => item.hasPersistentId).map(item => item.id));
+    const candidates = new Map<string, string[]>();
+
+    for (const item of previousItems) {
+        if (claimedIds.has(item.id)) continue;
+        const key = `${item.type}\u0000${item.title}`;
+        const ids = candidates.get(key);
+        if (ids) {
+            ids.push(item.id);
+        } else {
+            candidates.set(key, [item.id]);
+        }
+    }
+
+    for (const item of nextItems) {
+        if (item.hasPersistentId) continue;
+        const previousId = candidates.get(`${item.type}\u0000${item.title}`)?.shift();
+        if (previousId) {
+            item.id = previousId;
+        }
+    }
 }
@@ -0,0 +1,54 @@
+import * as vscode from 'vscode';
+import { parseDocument } from './editorFeatures';
+import { matchItems } from './merge';
+import { Item } from './models';
+import { getItemLines } from './parser';
+
+/** Lines of an item in the editor (its own line through the end of its note) */
+export interface ItemLines {
+    start: number;
+    end: number;
+}
+
+/**
+ * Find where the sidebar's items are in an open task file.
+ * The document is parsed like the other editor features do and its items are matched to the
+ * sidebar's by id, so a task that was just edited on either side is still found.
+ * @param {vscode.TextDocument} document - Open task file
+ * @param {Item[]} items - Sidebar items of that file
+ * @param {Item[]} archivedItems - Archived sidebar items of that file
+ * @returns {Promise<Map<string, ItemLines>>} Lines by sidebar item id
+ */
+export async function locateItems(document: vscode.TextDocument, items: Item[], archivedItems: Item[]): Promise<Map<string, ItemLines>> {
+    const parsed = await parseDocument(document);
+    // The parse is shared with the other editor features, so copies get the sidebar's ids
+    const documentItems = [...parsed.items, ...parsed.archivedItems];
+    const matched = documentItems.map(item => ({ ...item }));
+    matchItems([...items, ...archivedItems], matched);
+
+    const located = new Map<string, ItemLines>();
+    documentItems.forEach((item, i) => {
+        const lines = getItemLines(parsed, item);
+        if (lines) located.set(matched[i].id, lines);
+    });
+    return located;
+}
+
+/**
+ * Find the item a line belongs to: the item on it, or the nearest item above it
+ * (lines between items, like unrecognized Markdown, belong to the item above)
+ * @param {Map<string, ItemLines>} located - Result of locateItems
+ * @param {number} line - Line in the editor (zero-based)
+ * @returns {string | undefined} Sidebar item id
+ */
+export function findItemAtLine(located: Map<string, ItemLines>, line: number): string | undefined {
+    let found: string | undefined;
+    let foundStart = -1;
+    located.forEach((lines, id) => {
+        if (lines.start <= line && lines.start > foundStart) {
+            found = id;
+            foundStart = lines.start;
+        }
+    });
+    return found;
+}
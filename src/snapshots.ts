@@ -0,0 +1,203 @@
+import * as crypto from 'crypto';
+import * as vscode from 'vscode';
+import { ItemTodo } from './models';
+import { parseMarkdown } from './parser';
+import { TaskFile } from './taskFiles';
+
+/** A stored copy of a task file */
+export interface Snapshot {
+    uri: vscode.Uri;
+    /** When the copy was taken (ms since epoch) */
+    time: number;
+}
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+/** Every snapshot of the last hour is kept */
+const KEEP_ALL_FOR = HOUR;
+/** Then one per hour for a day */
+const KEEP_HOURLY_FOR = DAY;
+/** Then one per day for a month; older ones are removed */
+const KEEP_DAILY_FOR = 30 * DAY;
+
+/**
+ * Rolling copies of task files in the extension's workspace storage.
+ * A copy is taken whenever the extension writes a file (and of the content it overwrites),
+ * and old copies are thinned out over time.
+ */
+export class SnapshotStore {
+    /** Content of the newest snapshot per file, to skip duplicates */
+    private readonly _latest = new Map<string, string | undefined>();
+    /** Records run one at a time, so duplicates are seen and copies keep their order */
+    private _recording: Promise<void> = Promise.resolve();
+    /** Time of the newest copy taken, so two copies never share a name */
+    private _lastTime = 0;
+
+    constructor(private readonly _storageUri: vscode.Uri | undefined) {}
+
+    /**
+     * Store a copy of a task file, unless it matches the newest copy
+     * @param {vscode.Uri} fileUri - Task file
+     * @param {string} content - Its content
+     */
+    public record(fileUri: vscode.Uri, content: string): Promise<void> {
+        const recording = this._recording.then(() => this._record(fileUri, content));
+        this._recording = recording.catch(() => undefined);
+        return recording;
+    }
+
+    private async _record(fileUri: vscode.Uri, content: string): Promise<void> {
+        const dir = this._dirFor(fileUri);
+        if (!dir) return;
+
+        const key = fileUri.toString();
+        if (!this._latest.has(key)) {
+            const newest = (await this.list(fileUri))[0];
+            this._latest.set(key, newest ? await this.read(newest) : undefined);
+        }
+        if (this._latest.get(key) === content) return;
+
+        const now = Math.max(Date.now(), this._lastTime + 1);
+        this._lastTime = now;
+        await vscode.workspace.fs.createDirectory(dir);
+        await vscode.workspace.fs.writeFile(vscode.Uri.joinPath(dir, `${now}.md`), Buffer.from(content, 'utf8'));
+        this._latest.set(key, content);
+        await this._thin(fileUri, now);
+    }
+
+    /**
+     * List the copies of a task file
+     * @param {vscode.Uri} fileUri - Task file
+     * @returns {Promise<Snapshot[]>} Snapshots, newest first
+     */
+    public async list(fileUri: vscode.Uri): Promise<Snapshot[]> {
+        const dir = this._dirFor(fileUri);
+        if (!dir) return [];
+
+        let entries: [string, vscode.FileType][];
+        try {
+            entries = await vscode.workspace.fs.readDirectory(dir);
+        } catch {
+            return [];
+        }
+        return entries
+            .map(([name]) => name.match(/^(\d+)\.md$/))
+            .filter((match): match is RegExpMatchArray => match !== null)
+            .map(match => ({ uri: vscode.Uri.joinPath(dir, match[0]), time: Number(match[1]) }))
+            .sort((a, b) => b.time - a.time);
+    }
+
+    public async read(snapshot: Snapshot): Promise<string> {
+        return Buffer.from(await vscode.workspace.fs.readFile(snapshot.uri)).toString('utf8');
+    }
+
+    private _dirFor(fileUri: vscode.Uri): vscode.Uri | undefined {
+        if (!this._storageUri) return undefined;
+        const hash = crypto.createHash('sha1').update(fileUri.toString()).digest('hex').substring(0, 16);
+        return vscode.Uri.joinPath(this._storageUri, 'snapshots', hash);
+    }
+
+    /**
+     * Remove copies that are no longer needed: all of the last hour are kept,
+     * then the newest one per hour for a day and per day for a month
+     */
+    private async _thin(fileUri: vscode.Uri, now: number) {
+        const seenBuckets = new Set<string>();
+        for (const snapshot of await this.list(fileUri)) {
+            const age = now - snapshot.time;
+            let bucket: string | undefined;
+            if (age < KEEP_ALL_FOR) continue;
+            if (age < KEEP_HOURLY_FOR) {
+                bucket = `h${Math.floor(snapshot.time / HOUR)}`;
+            } else if (age < KEEP_DAILY_FOR) {
+                bucket = `d${Math.floor(snapshot.time / DAY)}`;
+            }
+            // Newest first, so the first snapshot of a bucket is the one kept
+            if (bucket && !seenBuckets.has(bucket)) {
+                seenBuckets.add(bucket);
+                continue;
+            }
+            try {
+                await vscode.workspace.fs.delete(snapshot.uri);
+            } catch {
+                // Already gone
+            }
+        }
+    }
+}
+
+interface SnapshotPickItem extends vscode.QuickPickItem {
+    snapshot: Snapshot;
+}
+
+/**
+ * Let the user pick a snapshot of a task file, previewing each one as a diff against the file
+ * @param {SnapshotStore} store - Snapshot store
+ * @param {TaskFile} file - Task file to restore
+ * @returns {Promise<Snapshot | undefined>} The chosen snapshot, or undefined if cancelled
+ */
+export async function pickSnapshot(store: SnapshotStore, file: TaskFile): Promise<Snapshot | undefined> {
+    const snapshots = await store.list(file.uri);
+    if (snapshots.length === 0) {
+        vscode.window.showInformationMessage(`No snapshots of ${file.label} yet`);
+        return undefined;
+    }
+
+    const items: SnapshotPickItem[] = [];
+    for (const snapshot of snapshots) {
+        const { items: tasks, archivedItems } = parseMarkdown(await store.read(snapshot));
+        const todos = tasks.filter(item => item.type === 'todo') as ItemTodo[];
+        const done = todos.filter(todo => todo.isChecked).length;
+        items.push({
+            label: new Date(snapshot.time).toLocaleString(),
+            description: `${todos.length} tasks, ${done} done, ${archivedItems.length} archived`,
+            snapshot
+        });
+    }
+
+    const quickPick = vscode.window.createQuickPick<SnapshotPickItem>();
+    quickPick.title = `Restore ${file.label} from Snapshot`;
+    quickPick.placeholder = 'Select a snapshot (the diff shows it against the current file)';
+    quickPick.items = items;
+
+    const showDiff = (item: SnapshotPickItem | undefined) => {
+        if (!item) return;
+        vscode.commands.executeCommand(
+            'vscode.diff',
+            item.snapshot.uri,
+            file.uri,
+            `${file.label} (${item.label}) ↔ Current`,
+            { preview: true, preserveFocus: true }
+        );
+    };
+
+    const chosen = await new Promise<Snapshot | undefined>(resolve => {
+        let result: Snapshot | undefined;
+        quickPick.onDidChangeActive(active => showDiff(active[0]));
+        quickPick.onDidAccept(() => {
+            result = quickPick.selectedItems[0]?.snapshot;
+            quickPick.hide();
+        });
+        quickPick.onDidHide(() => {
+            quickPick.dispose();
+            resolve(result);
+        });
+        quickPick.show();
+    });
+
+    await closeDiffPreviews(snapshots);
+    return chosen;
+}
+
+/**
+ * Close the diff editors opened while previewing snapshots
+ */
+async function closeDiffPreviews(snapshots: Snapshot[]) {
+    const snapshotPaths = new Set(snapshots.map(snapshot => snapshot.uri.toString()));
+    const tabs = vscode.window.tabGroups.all
+        .flatMap(group => group.tabs)
+        .filter(tab => tab.input instanceof vscode.TabInputTextDiff && snapshotPaths.has(tab.input.original.toString()));
+    if (tabs.length > 0) {
+        await vscode.window.tabGroups.close(tabs);
+    }
+}
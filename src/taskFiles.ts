@@ -0,0 +1,136 @@
+import * as vscode from 'vscode';
+import { GLOB_CHARS, isAbsolutePath, splitAbsoluteGlob } from './filePaths';
+
+/** A task file the sidebar can show */
+export interface TaskFile {
+    /** Stable key used by the webview (the file URI as a string) */
+    key: string;
+    uri: vscode.Uri;
+    /** Workspace folder whose `archyTask.filePath` setting produced this file */
+    folder: vscode.WorkspaceFolder;
+    /** Name shown in the file switcher */
+    label: string;
+}
+
+/**
+ * Resolve file path to URI, supporting both relative and absolute paths
+ * @param {vscode.Uri} folderUri - Workspace folder URI
+ * @param {string} filePath - File path (relative to the folder or absolute)
+ * @returns {vscode.Uri} Resolved file URI
+ */
+export function resolveFilePath(folderUri: vscode.Uri, filePath: string): vscode.Uri {
+    // Absolute paths may be in POSIX or Windows form
+    if (isAbsolutePath(filePath)) {
+        return vscode.Uri.file(filePath);
+    }
+    // Otherwise treat as relative to the workspace folder
+    return vscode.Uri.joinPath(folderUri, filePath);
+}
+
+/**
+ * Read `archyTask.filePath` for a folder as a list of paths / globs
+ * @param {vscode.WorkspaceFolder} folder - Workspace folder (the setting is resource-scoped)
+ * @returns {string[]} Configured entries, or the default file
+ */
+function getFilePathEntries(folder: vscode.WorkspaceFolder): string[] {
+    const value = vscode.workspace.getConfiguration('archyTask', folder.uri).get<string | string[]>('filePath');
+    const entries = (Array.isArray(value) ? value : [value])
+        .filter((entry): entry is string => typeof entry === 'string' && entry.trim().length > 0)
+        .map(entry => entry.trim());
+    return entries.length > 0 ? entries : ['archytask.md'];
+}
+
+/**
+ * Expand one `archyTask.filePath` entry into file URIs.
+ * Plain paths are returned even if the file doesn't exist yet (it is created on first load);
+ * globs only return files that exist.
+ * @param {vscode.WorkspaceFolder} folder - Workspace folder the entry is relative to
+ * @param {string} entry - Path or glob
+ * @returns {Promise<vscode.Uri[]>} Matching files, sorted by path
+ */
+async function expandEntry(folder: vscode.WorkspaceFolder, entry: string): Promise<vscode.Uri[]> {
+    if (!GLOB_CHARS.test(entry)) {
+        return [resolveFilePath(folder.uri, entry)];
+    }
+    let pattern = new vscode.RelativePattern(folder, entry);
+    if (isAbsolutePath(entry)) {
+        const { base, pattern: relative } = splitAbsoluteGlob(entry);
+        pattern = new vscode.RelativePattern(vscode.Uri.file(base), relative);
+    }
+    const uris = await vscode.workspace.findFiles(pattern, '**/node_modules/**');
+    return uris.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * List the task files of every workspace folder.
+ * `archyTask.filePath` is resource-scoped, so each folder resolves its own setting,
+ * and may be a single path, a list of paths, or globs such as `docs/tasks/*.md`.
+ * @returns {Promise<TaskFile[]>} All task files (a file matched more than once is listed once)
+ */
+export async function getTaskFiles(): Promise<TaskFile[]> {
+    const folders = vscode.workspace.workspaceFolders ?? [];
+    const files: TaskFile[] = [];
+    const seen = new Set<string>();
+
+    for (const folder of folders) {
+        for (const entry of getFilePathEntries(folder)) {
+            for (const uri of await expandEntry(folder, entry)) {
+                const key = uri.toString();
+                if (seen.has(key)) continue;
+                seen.add(key);
+                files.push({ key, uri, folder, label: '' });
+            }
+        }
+    }
+
+    // Folder names are only needed to tell folders apart
+    const multiRoot = folders.length > 1;
+    for (const file of files) {
+        const relativePath = vscode.workspace.asRelativePath(file.uri, false);
+        file.label = multiRoot ? `${file.folder.name}: ${relativePath}` : relativePath;
+    }
+
+    return files;
+}
+
+/**
+ * The configured task files, kept up to date for editor features that only apply to them
+ */
+export class TaskFileSet implements vscode.Disposable {
+    private _keys = new Set<string>();
+    private readonly _onDidChange = new vscode.EventEmitter<void>();
+    /** Fired when the list of task files was re-read */
+    public readonly onDidChange = this._onDidChange.event;
+    private readonly _disposables: vscode.Disposable[];
+
+    constructor() {
+        this._disposables = [
+            this._onDidChange,
+            vscode.workspace.onDidChangeConfiguration(e => {
+                if (e.affectsConfiguration('archyTask.filePath')) void this._refresh();
+            }),
+            vscode.workspace.onDidChangeWorkspaceFolders(() => this._refresh()),
+            // New files can match a glob in archyTask.filePath
+            vscode.workspace.onDidCreateFiles(() => this._refresh()),
+            vscode.workspace.onDidRenameFiles(() => this._refresh())
+        ];
+        void this._refresh();
+    }
+
+    /**
+     * Check whether a document is one of the task files
+     * @param {vscode.Uri} uri - Document URI
+     */
+    public has(uri: vscode.Uri): boolean {
+        return this._keys.has(uri.toString());
+    }
+
+    public dispose() {
+        this._disposables.forEach(disposable => disposable.dispose());
+    }
+
+    private async _refresh() {
+        this._keys = new Set((await getTaskFiles()).map(file => file.key));
+        this._onDidChange.fire();
+    }
+}
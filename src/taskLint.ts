@@ -0,0 +1,116 @@
+import { LineChange } from './lineDiff';
+import { TODO_LINE_PATTERN } from './parser';
+
+/** A line the parser skips although it was most likely meant as part of the task list */
+export interface LintProblem {
+    /** Line number (zero-based) */
+    line: number;
+    kind: 'task' | 'heading' | 'unterminatedNote' | 'orphanNote';
+    message: string;
+    /** Edit that makes the parser read the line as intended, if there is one */
+    fix?: { title: string; change: LineChange };
+}
+
+/** A bullet with a checkbox that is not written as `- [ ] title` (`-[ ] foo`, `* [ ] foo`, `- [] foo`) */
+const NEAR_TODO_PATTERN = /^(\s*)[-*+]\s*\[([ xX/>-]?)\]\s*(\S.*)$/;
+/** `##Title` without the space after the hashes */
+const NEAR_HEADING_PATTERN = /^##([^\s#].*)$/;
+
+/**
+ * Find lines of a task file that look like tasks, headings or notes but are not read as such.
+ * Follows the same rules as parseMarkdown, so lines inside notes and other fenced blocks are left alone.
+ * @param content - File content
+ * @returns Problems in line order
+ */
+export function lintTaskFile(content: string): LintProblem[] {
+    const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+    if (lines.length > 0 && lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+    const problems: LintProblem[] = [];
+    let inOtherFence = false;
+    let noteStart = -1;
+    let noteHasOwner = false;
+    let hasItem = false;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const trimmedLine = line.trim();
+
+        if (inOtherFence) {
+            if (trimmedLine.startsWith('```')) inOtherFence = false;
+            continue;
+        }
+        if (noteStart !== -1) {
+            if (trimmedLine.startsWith('```')) {
+                if (!noteHasOwner) {
+                    problems.push({
+                        line: noteStart,
+                        kind: 'orphanNote',
+                        message: 'This note has no task or heading above it, so it is not shown in the sidebar.'
+                    });
+                }
+                noteStart = -1;
+            }
+            continue;
+        }
+        if (trimmedLine.startsWith('```plane')) {
+            noteStart = i;
+            noteHasOwner = hasItem;
+            continue;
+        }
+        if (trimmedLine.startsWith('```')) {
+            inOtherFence = true;
+            continue;
+        }
+
+        if (trimmedLine.startsWith('## ')) {
+            // Tasks right below the Archive heading have nothing to attach a note to
+            hasItem = trimmedLine.substring(3).trim() !== 'Archive';
+            continue;
+        }
+        if (TODO_LINE_PATTERN.test(line)) {
+            hasItem = true;
+            continue;
+        }
+
+        const todo = line.match(NEAR_TODO_PATTERN);
+        if (todo) {
+            const fixed = `${todo[1]}- [${todo[2] || ' '}] ${todo[3]}`;
+            problems.push({
+                line: i,
+                kind: 'task',
+                message: 'This line looks like a task but is not read as one. Tasks are written as "- [ ] title".',
+                fix: { title: `Rewrite as "${fixed.trim()}"`, change: { start: i, deleteCount: 1, lines: [fixed] } }
+            });
+            continue;
+        }
+        const heading = trimmedLine.match(NEAR_HEADING_PATTERN);
+        if (heading) {
+            const fixed = `## ${heading[1]}`;
+            problems.push({
+                line: i,
+                kind: 'heading',
+                message: 'This line looks like a heading but is not read as one. Headings are written as "## Title".',
+                fix: { title: `Rewrite as "${fixed}"`, change: { start: i, deleteCount: 1, lines: [fixed] } }
+            });
+        }
+    }
+
+    if (noteStart !== -1) {
+        // Close the note before the first line that would be a task or heading again
+        let end = noteStart + 1;
+        while (end < lines.length && !TODO_LINE_PATTERN.test(lines[end]) && !lines[end].trim().startsWith('## ')) {
+            end++;
+        }
+        const indent = lines[noteStart].match(/^\s*/)?.[0] ?? '';
+        problems.push({
+            line: noteStart,
+            kind: 'unterminatedNote',
+            message: 'This note is never closed with ```, so nothing below it is read as tasks.',
+            fix: { title: 'Close the note', change: { start: end, deleteCount: 0, lines: [`${indent}\`\`\``] } }
+        });
+        problems.sort((a, b) => a.line - b.line);
+    }
+    return problems;
+}
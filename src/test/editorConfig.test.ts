@@ -0,0 +1,81 @@
+import { addFartherRules, applyEditorConfig, EditorConfigRules, hasUtf8Bom, parseEditorConfig, toRules } from '../editorConfig';
+import { DEFAULT_FORMAT } from '../parser';
+import { assertEqual, suite } from './harness';
+
+/** Rules an `.editorconfig` gives a path */
+const rulesFor = (text: string, relativePath: string) => toRules(parseEditorConfig(text, relativePath).properties);
+
+function testSectionMatching() {
+    suite('parseEditorConfig section matching tests');
+
+    const config = [
+        'root = true',
+        '[*]',
+        'end_of_line = lf',
+        '[*.md]',
+        'indent_style = tab',
+        '[docs/**.md]',
+        'end_of_line = crlf',
+        '[{TODO,tasks}.md]',
+        'charset = utf-8-bom',
+        '[[Nn]otes.md]',
+        'indent_style = space',
+        'indent_size = 2'
+    ].join('\n');
+
+    assertEqual(parseEditorConfig(config, 'TODO.md').root, true, 'root = true before any section');
+    assertEqual(rulesFor(config, 'src/app.ts'), { eol: '\n' }, '[*] matches every file');
+    assertEqual(rulesFor(config, 'sub/dir/TODO.md'), { eol: '\n', bom: true, indent: '\t' }, 'globs without a slash match in any directory');
+    assertEqual(rulesFor(config, 'docs/a/b.md'), { eol: '\r\n', indent: '\t' }, '** crosses directories, later sections win');
+    assertEqual(rulesFor(config, 'other/docs/b.md').eol, '\n', 'globs with a slash are relative to the .editorconfig');
+    assertEqual(rulesFor(config, 'tasks.md').bom, true, 'braces match alternatives');
+    assertEqual(rulesFor(config, 'notes.md').indent, '  ', 'brackets match a character set');
+    assertEqual(rulesFor(config, 'TODO.markdown'), { eol: '\n' }, 'other extensions do not match');
+}
+
+function testRules() {
+    suite('editorconfig rules tests');
+
+    assertEqual(toRules(new Map([['indent_style', 'tab'], ['indent_size', '4']])), { indent: '\t' }, 'indent_style = tab ignores indent_size');
+    assertEqual(toRules(new Map([['indent_style', 'space'], ['tab_width', '3']])), { indent: '   ' }, 'tab_width stands in for indent_size');
+    assertEqual(toRules(new Map([['indent_style', 'space'], ['indent_size', 'tab']])), {}, 'unusable indent_size is ignored');
+    assertEqual(toRules(new Map([['charset', 'utf-8']])), { bom: false }, 'charset = utf-8 means no BOM');
+
+    const rules: EditorConfigRules = { indent: '\t' };
+    addFartherRules(rules, { indent: '  ', eol: '\r\n' });
+    assertEqual(rules, { indent: '\t', eol: '\r\n' }, 'nearer files win, farther ones fill in');
+}
+
+function testApplyEditorConfig() {
+    suite('applyEditorConfig tests');
+
+    const crlfDefault = { ...DEFAULT_FORMAT, eol: '\r\n' as const };
+    assertEqual(applyEditorConfig('', { eol: '\n' }, crlfDefault).eol, '\n', 'end_of_line wins over files.eol');
+    assertEqual(applyEditorConfig('- [ ] A\r\n', { eol: '\n' }, DEFAULT_FORMAT).eol, '\n', 'end_of_line wins over the line endings in the file');
+    assertEqual(applyEditorConfig('- [ ] A\r\n', {}, DEFAULT_FORMAT).eol, '\r\n', 'the file keeps its own line endings');
+    assertEqual(applyEditorConfig('', {}, crlfDefault).eol, '\r\n', 'files.eol decides for an empty file');
+    assertEqual(
+        applyEditorConfig('- [ ] A\n  - [ ] B\n', { indent: '\t' }, DEFAULT_FORMAT).indent,
+        '\t',
+        'indent_style wins over the indentation in the file'
+    );
+    assertEqual(applyEditorConfig('- [ ] A\n  - [ ] B\n', {}, DEFAULT_FORMAT).indent, '  ', 'the file keeps its own indentation');
+    assertEqual(applyEditorConfig('', { bom: false }, { ...DEFAULT_FORMAT, bom: true }).bom, false, 'charset wins over the BOM on disk');
+}
+
+function testBomDetection() {
+    suite('hasUtf8Bom tests');
+
+    assertEqual(hasUtf8Bom(new Uint8Array([0xef, 0xbb, 0xbf, 0x2d])), true, 'BOM');
+    assertEqual(hasUtf8Bom(Buffer.from('\uFEFF- [ ] A', 'utf8')), true, 'BOM written by Buffer');
+    assertEqual(hasUtf8Bom(Buffer.from('- [ ] A', 'utf8')), false, 'no BOM');
+    assertEqual(hasUtf8Bom(new Uint8Array([0xef, 0xbb])), false, 'file shorter than a BOM');
+    assertEqual(hasUtf8Bom(new Uint8Array([])), false, 'empty file');
+}
+
+export function runEditorConfigTests() {
+    testSectionMatching();
+    testRules();
+    testApplyEditorConfig();
+    testBomDetection();
+}
@@ -0,0 +1,37 @@
+import { expandBraces, isAbsolutePath, splitAbsoluteGlob } from '../filePaths';
+import { assertEqual, suite } from './harness';
+
+function testIsAbsolutePath() {
+    suite('isAbsolutePath tests');
+
+    assertEqual(isAbsolutePath('/home/me/TODO.md'), true, 'POSIX absolute path');
+    assertEqual(isAbsolutePath('C:\\notes\\TODO.md'), true, 'Windows drive-letter path');
+    assertEqual(isAbsolutePath('c:/notes/TODO.md'), true, 'drive-letter path with forward slashes');
+    assertEqual(isAbsolutePath('\\\\server\\share\\TODO.md'), true, 'Windows UNC path');
+    assertEqual(isAbsolutePath('archytask.md'), false, 'file in the workspace folder');
+    assertEqual(isAbsolutePath('docs/tasks/*.md'), false, 'relative glob');
+}
+
+function testSplitAbsoluteGlob() {
+    suite('splitAbsoluteGlob tests');
+
+    assertEqual(splitAbsoluteGlob('/notes/*.md'), { base: '/notes/', pattern: '*.md' }, 'POSIX glob');
+    assertEqual(splitAbsoluteGlob('/notes/**/todo-*.md'), { base: '/notes/', pattern: '**/todo-*.md' }, 'glob over folders');
+    assertEqual(splitAbsoluteGlob('C:\\notes\\**\\*.md'), { base: 'C:\\notes\\', pattern: '**/*.md' }, 'Windows glob');
+}
+
+function testExpandBraces() {
+    suite('expandBraces tests');
+
+    assertEqual(expandBraces('**/node_modules/**'), ['**/node_modules/**'], 'glob without braces');
+    assertEqual(expandBraces('**/*.{js,map}'), ['**/*.js', '**/*.map'], 'one group');
+    assertEqual(expandBraces('{src,lib}/*.{js,map}'), ['src/*.js', 'src/*.map', 'lib/*.js', 'lib/*.map'], 'two groups');
+    assertEqual(expandBraces('*.{js,{c,m}ts}'), ['*.js', '*.cts', '*.mts'], 'nested groups');
+    assertEqual(expandBraces('*.{js'), ['*.{js'], 'unclosed brace');
+}
+
+export function runFilePathsTests() {
+    testIsAbsolutePath();
+    testSplitAbsoluteGlob();
+    testExpandBraces();
+}
@@ -0,0 +1,37 @@
+/**
+ * Minimal assertion helpers for the extension's unit tests (same output as media/main.test.js)
+ */
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+export function suite(name: string) {
+    console.log(`\n📋 ${name}:`);
+}
+
+export function assertEqual(actual: unknown, expected: unknown, testName: string) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        console.log(`  ✅ ${testName}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ ${testName}`);
+        console.log(`     Expected: ${JSON.stringify(expected)}`);
+        console.log(`     Actual:   ${JSON.stringify(actual)}`);
+        testsFailed++;
+    }
+}
+
+export function assertTrue(condition: boolean, testName: string) {
+    assertEqual(condition, true, testName);
+}
+
+/**
+ * Print the totals and fail the process if any test failed
+ */
+export function report() {
+    console.log('\n' + '='.repeat(50));
+    console.log(`\n📊 Results: ${testsPassed} passed, ${testsFailed} failed`);
+    if (testsFailed > 0) {
+        process.exit(1);
+    }
+}
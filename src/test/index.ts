@@ -0,0 +1,19 @@
+/**
+ * Unit tests for the extension's pure modules (no VS Code API needed)
+ * Run with: npm run compile && node out/test/index.js
+ */
+import { report } from './harness';
+import { runEditorConfigTests } from './editorConfig.test';
+import { runFilePathsTests } from './filePaths.test';
+import { runLineDiffTests } from './lineDiff.test';
+import { runMergeTests } from './merge.test';
+import { runParserTests } from './parser.test';
+import { runTaskLintTests } from './taskLint.test';
+
+runParserTests();
+runMergeTests();
+runLineDiffTests();
+runEditorConfigTests();
+runTaskLintTests();
+runFilePathsTests();
+report();
@@ -0,0 +1,57 @@
+import { diffLines, LineChange } from '../lineDiff';
+import { assertEqual, suite } from './harness';
+
+/** Apply changes back to front, as the editor applies a WorkspaceEdit */
+function apply(oldLines: string[], changes: LineChange[]): string[] {
+    const lines = [...oldLines];
+    for (const change of [...changes].reverse()) {
+        lines.splice(change.start, change.deleteCount, ...change.lines);
+    }
+    return lines;
+}
+
+/** Diff two texts split the way _createLineEdit splits them, and check the changes rebuild the new text */
+function diff(oldText: string, newText: string, testName: string): LineChange[] {
+    const oldLines = oldText.split('\n');
+    const changes = diffLines(oldLines, newText.split('\n'));
+    assertEqual(apply(oldLines, changes).join('\n'), newText, `${testName} (applied)`);
+    return changes;
+}
+
+function testDiffLines() {
+    suite('diffLines tests');
+
+    assertEqual(diff('a\nb\n', 'a\nb\n', 'no change'), [], 'no change');
+    assertEqual(
+        diff('a\nc\n', 'a\nb\nc\n', 'insert'),
+        [{ start: 1, deleteCount: 0, lines: ['b'] }],
+        'insert'
+    );
+    assertEqual(
+        diff('a\nb\nc\nd\n', 'a\nd\n', 'delete'),
+        [{ start: 1, deleteCount: 2, lines: [] }],
+        'delete'
+    );
+    assertEqual(
+        diff('a\nb\nc\n', 'a\nB\nc\n', 'replace'),
+        [{ start: 1, deleteCount: 1, lines: ['B'] }],
+        'replace'
+    );
+    assertEqual(
+        diff('a\nb\nc\nd\ne\n', 'a\nB\nc\nd\n', 'separate changes'),
+        [{ start: 1, deleteCount: 1, lines: ['B'] }, { start: 4, deleteCount: 1, lines: [] }],
+        'separate changes'
+    );
+    assertEqual(diff('', '- [ ] A\n', 'empty old file'), [{ start: 0, deleteCount: 0, lines: ['- [ ] A'] }], 'empty old file');
+    assertEqual(diff('- [ ] A\n', '', 'empty new file'), [{ start: 0, deleteCount: 1, lines: [] }], 'empty new file');
+    assertEqual(
+        diff('a\r\nb\r\nc\r\n', 'a\r\nB\r\nc\r\n', 'CRLF'),
+        [{ start: 1, deleteCount: 1, lines: ['B\r'] }],
+        'CRLF: only the changed line, with its carriage return'
+    );
+    assertEqual(diff('a\r\nb\r\n', 'a\nb\n', 'CRLF to LF').length, 1, 'CRLF to LF replaces the changed lines');
+}
+
+export function runLineDiffTests() {
+    testDiffLines();
+}
@@ -0,0 +1,171 @@
+import { matchItemIds, matchItems, mergeFileStates, MergeSide, takeSnapshot } from '../merge';
+import { ItemTodo } from '../models';
+import { parseMarkdown, ParseResult, stringifyState } from '../parser';
+import { assertEqual, suite } from './harness';
+
+/**
+ * Merge the way _saveMerged does: `base` is the file as last read, `edit` changes a copy of it
+ * in the sidebar, and `disk` is the file as it is now
+ */
+function merge(base: string, edit: (ours: ParseResult) => void, disk: string, prefer: MergeSide = 'theirs') {
+    const baseState = parseMarkdown(base);
+    const snapshot = takeSnapshot(base, baseState, { eol: '\n', bom: false, indent: '\t', noteIndent: '    ', finalNewline: true });
+    const ours = takeSnapshot(base, baseState, snapshot.format);
+    edit(ours);
+    const theirs = parseMarkdown(disk);
+    matchItemIds(snapshot, theirs);
+    const result = mergeFileStates(snapshot, ours, theirs, prefer);
+    return { content: stringifyState(result), conflicts: result.conflicts.map(c => `${c.kind}:${c.title}:${c.fields.join('+')}`) };
+}
+
+const todo = (state: ParseResult, index: number) => state.items[index] as ItemTodo;
+
+function testOneSidedChanges() {
+    suite('mergeFileStates one-sided change tests');
+
+    const base = '- [ ] A\n- [ ] B\n- [ ] C\n';
+    assertEqual(merge(base, () => {}, base).content, base, 'nothing changed');
+    assertEqual(
+        merge(base, ours => { todo(ours, 1).isChecked = true; }, base),
+        { content: '- [ ] A\n- [x] B\n- [ ] C\n', conflicts: [] },
+        'sidebar edit is kept'
+    );
+    assertEqual(
+        merge(base, () => {}, '- [ ] A\n- [ ] B renamed\n- [ ] C\n- [ ] D\n'),
+        { content: '- [ ] A\n- [ ] B renamed\n- [ ] C\n- [ ] D\n', conflicts: [] },
+        'file edits and additions are taken'
+    );
+    assertEqual(
+        merge(base, ours => { ours.items.splice(0, 1); }, base).content,
+        '- [ ] B\n- [ ] C\n',
+        'sidebar deletion is kept'
+    );
+    assertEqual(
+        merge(base, () => {}, '- [ ] A\n- [ ] C\n').content,
+        '- [ ] A\n- [ ] C\n',
+        'file deletion is taken'
+    );
+}
+
+function testBothSides() {
+    suite('mergeFileStates both-sides tests');
+
+    const base = '- [ ] A\n- [ ] B\n';
+    assertEqual(
+        merge(base, ours => { todo(ours, 0).isChecked = true; }, '- [ ] A #tag\n- [ ] B\n'),
+        { content: '- [x] A #tag\n- [ ] B\n', conflicts: [] },
+        'different fields of one task are both kept'
+    );
+    assertEqual(
+        merge(base, ours => { ours.items.push(parseMarkdown('- [ ] Ours').items[0]); }, '- [ ] A\n- [ ] B\n- [ ] Theirs\n'),
+        { content: '- [ ] A\n- [ ] B\n- [ ] Ours\n- [ ] Theirs\n', conflicts: [] },
+        'tasks added on both sides are all kept'
+    );
+
+    const renamed = (ours: ParseResult) => {
+        todo(ours, 0).title = 'A ours';
+    };
+    const disk = '- [ ] A theirs\n- [ ] B\n';
+    assertEqual(
+        merge(base, renamed, disk),
+        { content: '- [ ] A theirs\n- [ ] B\n', conflicts: ['edited:A ours:title'] },
+        'same field changed on both sides: the file wins by default'
+    );
+    assertEqual(merge(base, renamed, disk, 'ours').content, '- [ ] A ours\n- [ ] B\n', 'the sidebar wins when preferred');
+}
+
+function testDeleteVersusEdit() {
+    suite('mergeFileStates delete vs. edit tests');
+
+    const base = '- [ ] A\n- [ ] B\n- [ ] C\n';
+    const deleteB = (ours: ParseResult) => {
+        ours.items.splice(1, 1);
+    };
+    const editedB = '- [ ] A\n- [x] B\n- [ ] C\n';
+    assertEqual(
+        merge(base, deleteB, editedB),
+        { content: editedB, conflicts: ['deleted:B:'] },
+        'task deleted in the sidebar but edited in the file is kept by default'
+    );
+    assertEqual(merge(base, deleteB, editedB, 'ours').content, '- [ ] A\n- [ ] C\n', 'the deletion wins when the sidebar is preferred');
+    assertEqual(
+        merge(base, ours => { todo(ours, 1).isChecked = true; }, '- [ ] A\n- [ ] C\n'),
+        { content: '- [ ] A\n- [ ] C\n', conflicts: ['deleted:B:'] },
+        'task edited in the sidebar but deleted in the file follows the preferred side'
+    );
+}
+
+function testReorders() {
+    suite('mergeFileStates reorder tests');
+
+    const base = '- [ ] A\n- [ ] B\n- [ ] C\n';
+    assertEqual(
+        merge(base, ours => { ours.items.reverse(); }, '- [ ] A\n- [ ] B\n- [ ] New\n- [ ] C\n').content,
+        '- [ ] C\n- [ ] B\n- [ ] New\n- [ ] A\n',
+        'sidebar reorder wins, a task added in the file follows its neighbour'
+    );
+    assertEqual(
+        merge(base, ours => { todo(ours, 0).isChecked = true; }, '- [ ] C\n- [ ] A\n- [ ] B\n').content,
+        '- [ ] C\n- [x] A\n- [ ] B\n',
+        'file reorder is taken when the sidebar only edited'
+    );
+    assertEqual(
+        merge(base, ours => { ours.archivedItems.push(...ours.items.splice(2, 1)); }, base).content,
+        '- [ ] A\n- [ ] B\n## Archive\n- [x] C\n',
+        'archiving moves the task across the Archive heading'
+    );
+}
+
+function testDuplicateTitles() {
+    suite('matchItemIds duplicate title tests');
+
+    const base = '- [ ] Same\n- [ ] Same\n- [ ] Other\n';
+    assertEqual(
+        merge(base, ours => { todo(ours, 1).isChecked = true; }, '- [ ] Same\n- [ ] Same\n- [ ] Other\n- [ ] Added\n'),
+        { content: '- [ ] Same\n- [x] Same\n- [ ] Other\n- [ ] Added\n', conflicts: [] },
+        'duplicates are matched in file order'
+    );
+    assertEqual(
+        merge(base, ours => { todo(ours, 0).isChecked = true; }, '- [ ] Same\n- [ ] Same edited\n- [ ] Other\n'),
+        { content: '- [x] Same\n- [ ] Same edited\n- [ ] Other\n', conflicts: [] },
+        'a duplicate renamed in the file is matched by position'
+    );
+    assertEqual(
+        merge(
+            '- [ ] Same <!-- id:a -->\n- [ ] Same <!-- id:b -->\n',
+            ours => { todo(ours, 0).isChecked = true; },
+            '- [ ] Same <!-- id:b -->\n- [ ] Same <!-- id:a -->\n'
+        ).content,
+        '- [ ] Same <!-- id:b -->\n- [x] Same <!-- id:a -->\n',
+        'persistent ids match duplicates that moved'
+    );
+}
+
+function testMatchItems() {
+    suite('matchItems stored reference tests');
+
+    // What the stored undo history keeps of the items: ids, types and titles in file order
+    const refs = [
+        { id: 'h', type: 'heading' as const, title: 'Work' },
+        { id: 'a', type: 'todo' as const, title: 'Same' },
+        { id: 'b', type: 'todo' as const, title: 'Same' },
+        { id: 'c', type: 'todo' as const, title: 'Old title' }
+    ];
+    const ids = (content: string) => {
+        const state = parseMarkdown(content);
+        matchItems(refs, state.items);
+        return state.items.map(item => item.id);
+    };
+    assertEqual(ids('## Work\n- [ ] Same\n- [x] Same\n- [ ] Old title\n'), ['h', 'a', 'b', 'c'], 'duplicate titles get their ids in file order');
+    assertEqual(ids('## Work\n- [ ] Same\n- [ ] Same\n- [ ] New title\n'), ['h', 'a', 'b', 'c'], 'a task renamed in place keeps its id');
+    assertEqual(ids('## Work\n- [ ] Same\n- [ ] Same\n').length, 3, 'a removed task takes no id');
+}
+
+export function runMergeTests() {
+    testOneSidedChanges();
+    testBothSides();
+    testDeleteVersusEdit();
+    testReorders();
+    testDuplicateTitles();
+    testMatchItems();
+}
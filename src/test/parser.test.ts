@@ -0,0 +1,99 @@
+import { ItemTodo } from '../models';
+import { detectFormat, parseMarkdown, stringifyState } from '../parser';
+import { assertEqual, assertTrue, suite } from './harness';
+
+/**
+ * Parse a file and write it back unchanged, the way the sidebar does
+ */
+function roundTrip(content: string): string {
+    const format = detectFormat(content);
+    return stringifyState(parseMarkdown(content, format), format);
+}
+
+function testRoundTrip() {
+    suite('parser round trip tests');
+
+    const canonical = '## Work\n- [ ] Task\n\t- [x] Subtask\n## Archive\n- [x] Old\n';
+    assertEqual(roundTrip(canonical), canonical, 'canonical file is unchanged');
+
+    const loose = '# Title\n\nSome text.\n\n## Work\n-  [ ] Not a task\n- [ ] Task   \n\n```js\n- [ ] in code\n```\n';
+    assertEqual(roundTrip(loose), loose, 'unrecognized lines, blank lines and other fences are kept');
+
+    const notes = '- [ ] Task\n  ```plane\n  first\n\n    indented\n  ```\n## Heading\n```plane\nheading note\n```\n';
+    assertEqual(roundTrip(notes), notes, 'notes keep their fences and indentation');
+
+    const tokens = '- [/] Ship #release ⏫ [src/a b.ts:3](src/a%20b.ts#L3) due:2026-10-25 <!-- id:abc -->\n- [X] Done 📅 2026-01-02\n';
+    assertEqual(roundTrip(tokens), tokens, 'states, links, due dates and persistent ids are kept');
+
+    assertEqual(roundTrip('- [ ] Task\n- [ ] Last'), '- [ ] Task\n- [ ] Last', 'a missing final newline stays missing');
+    assertEqual(roundTrip('- [ ] Task\n\n'), '- [ ] Task\n\n', 'a trailing blank line is kept');
+    assertEqual(roundTrip('- [ ] Task\n## Archive\n'), '- [ ] Task\n## Archive\n', 'an empty Archive heading is kept');
+    assertEqual(roundTrip('- [ ] Task\n##  Archive  \n- [x] Old'), '- [ ] Task\n##  Archive  \n- [x] Old', 'the Archive heading keeps its spacing');
+    assertEqual(roundTrip(''), '', 'an empty file stays empty');
+
+    const crlf = '## Work\r\n- [ ] Task\r\n    - [ ] Sub\r\n';
+    assertEqual(roundTrip(crlf), crlf, 'CRLF line endings and space indentation are kept');
+    assertEqual(roundTrip('\uFEFF- [ ] Task\n'), '- [ ] Task\n', 'the BOM is left to the caller');
+}
+
+function testEditedItems() {
+    suite('parser edited item tests');
+
+    const content = '- [ ] One   \n- [ ] Two\n  ```plane\n  note\n  ```\n- [ ] Three';
+    const format = detectFormat(content);
+    const state = parseMarkdown(content, format);
+    (state.items[1] as ItemTodo).isChecked = true;
+    assertEqual(
+        stringifyState(state, format),
+        '- [ ] One   \n- [x] Two\n  ```plane\n  note\n  ```\n- [ ] Three',
+        'only the edited task is rewritten'
+    );
+
+    state.items.splice(2, 1);
+    assertEqual(
+        stringifyState(state, format),
+        '- [ ] One   \n- [x] Two\n  ```plane\n  note\n  ```',
+        'the final newline stays missing after the last task is removed'
+    );
+
+    const archived = parseMarkdown('- [ ] Task\n## Archive\n- [x] Old\n');
+    archived.archivedItems = [];
+    assertEqual(stringifyState(archived), '- [ ] Task\n## Archive\n', 'clearing the archive keeps its heading');
+}
+
+function testDuplicateIds() {
+    suite('parser duplicate id tests');
+
+    const content = '- [ ] A <!-- id:x -->\n- [ ] B <!-- id:x -->\n';
+    const state = parseMarkdown(content);
+    const [first, second] = state.items;
+    assertEqual(first.id, 'x', 'the first task keeps the id');
+    assertTrue(second.id !== 'x', 'the second task gets a fresh id');
+
+    const written = stringifyState(state);
+    assertEqual(written, `- [ ] A <!-- id:x -->\n- [ ] B <!-- id:${second.id} -->\n`, 'the fresh id is written');
+    assertEqual(parseMarkdown(written).items[1].id, second.id, 'the fresh id is read back');
+}
+
+function testIndentNormalization() {
+    suite('parser indent tests');
+
+    const indents = (content: string) => {
+        const state = parseMarkdown(content);
+        return [...state.items, ...state.archivedItems].map(item => item.indent);
+    };
+    assertEqual(indents('- [ ] A\n\t\t\t- [ ] B\n'), [0, 1], 'a jump of several levels becomes one level');
+    assertEqual(indents('\t- [ ] A\n'), [0], 'the first task of the file is not nested');
+    assertEqual(indents('- [ ] A\n\t- [ ] B\n## Next\n\t- [ ] C\n\t\t- [ ] D\n'), [0, 1, 0, 0, 1], 'a task below a heading is not nested across it');
+    assertEqual(indents('- [ ] A\n\t- [ ] B\n## Archive\n\t- [x] C\n'), [0, 1, 0], 'the same holds below the Archive heading');
+
+    const content = '## Work\n- [ ] A\n## Next\n\t- [ ] C\n';
+    assertEqual(roundTrip(content), content, 'the normalized task keeps its line while unchanged');
+}
+
+export function runParserTests() {
+    testRoundTrip();
+    testEditedItems();
+    testDuplicateIds();
+    testIndentNormalization();
+}
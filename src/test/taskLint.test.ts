@@ -0,0 +1,51 @@
+import { lintTaskFile } from '../taskLint';
+import { assertEqual, suite } from './harness';
+
+/** Kinds and lines of the problems found, the part most tests compare */
+const found = (content: string) => lintTaskFile(content).map(problem => `${problem.kind}@${problem.line}`);
+
+function testProblems() {
+    suite('lintTaskFile problem tests');
+
+    assertEqual(found('## Work\n- [ ] A\n- [x] B\n  ```plane\n  note\n  ```\n'), [], 'a well-formed file has no problems');
+    assertEqual(found('- [ ] A\n-[ ] B\n* [x] C\n'), ['task@1', 'task@2'], 'task: checkbox bullets the parser skips');
+    assertEqual(found('##Work\n- [ ] A\n'), ['heading@0'], 'heading: no space after the hashes');
+    assertEqual(found('- [ ] A\n  ```plane\n  note\n- [ ] B\n'), ['unterminatedNote@1'], 'unterminatedNote: note never closed');
+    assertEqual(found('```plane\nnote\n```\n- [ ] A\n'), ['orphanNote@0'], 'orphanNote: note before any task');
+    assertEqual(found('## Archive\n```plane\nnote\n```\n'), ['orphanNote@1'], 'orphanNote: note right below the Archive heading');
+    assertEqual(found('```js\n-[ ] not a task\n##Nope\n```\n'), [], 'lines in other fenced blocks are left alone');
+    assertEqual(found('\uFEFF-[ ] A\r\n'), ['task@0'], 'BOM and CRLF');
+}
+
+function testFixes() {
+    suite('lintTaskFile quick fix tests');
+
+    const [task] = lintTaskFile('- [ ] A\n  *[x] B\n');
+    assertEqual(task.fix, { title: 'Rewrite as "- [x] B"', change: { start: 1, deleteCount: 1, lines: ['  - [x] B'] } }, 'task fix replaces its line, keeping the indent');
+    assertEqual(
+        lintTaskFile('- [] A\n')[0].fix?.change,
+        { start: 0, deleteCount: 1, lines: ['- [ ] A'] },
+        'task fix fills in an empty checkbox'
+    );
+
+    const [heading] = lintTaskFile('- [ ] A\n##Work\n');
+    assertEqual(heading.fix, { title: 'Rewrite as "## Work"', change: { start: 1, deleteCount: 1, lines: ['## Work'] } }, 'heading fix replaces its line');
+
+    const [note] = lintTaskFile('- [ ] A\n  ```plane\n  note\n\n## Next\n- [ ] B\n');
+    assertEqual(
+        note.fix,
+        { title: 'Close the note', change: { start: 4, deleteCount: 0, lines: ['  ```'] } },
+        'unterminatedNote fix inserts a fence before the next heading, with the note indent'
+    );
+    assertEqual(
+        lintTaskFile('- [ ] A\n```plane\nnote\n')[0].fix?.change,
+        { start: 3, deleteCount: 0, lines: ['```'] },
+        'unterminatedNote fix at the end of the file'
+    );
+    assertEqual(lintTaskFile('```plane\nnote\n```\n')[0].fix, undefined, 'orphanNote has no fix');
+}
+
+export function runTaskLintTests() {
+    testProblems();
+    testFixes();
+}
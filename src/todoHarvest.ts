@@ -0,0 +1,257 @@
+import * as path from 'path';
+import * as vscode from 'vscode';
+import { createCodeLink, truncateTitle } from './codeLinks';
+import { expandBraces } from './filePaths';
+import { CodeLink, Item, ItemHeading, ItemTodo } from './models';
+import { ensurePersistentId, parseMarkdown, ParseResult } from './parser';
+
+/**
+ * A `TODO:` / `FIXME:` / `HACK:` after a comment marker that starts the line or follows whitespace
+ * (not `http://…` or `a//b`); the text runs to the end of the line
+ */
+const TODO_COMMENT_PATTERN = /(?:^\s*\*|(?:^|\s)(?:\/\/+|\/\*+|#+|--|<!--|;+))\s*(TODO|FIXME|HACK)(?:\([^)]*\))?:\s*/g;
+/** Tag added to a collected task whose comment is gone (archyTask.todoComments.whenRemoved: flag) */
+const REMOVED_TAG = 'removed';
+const REMOVED_TAG_PATTERN = /\s*#removed(?![\p{L}\p{N}_\-/.])/gu;
+/** Larger files are skipped (minified or generated code) */
+const MAX_FILE_SIZE = 1024 * 1024;
+const MAX_FILES = 10000;
+
+/** What happens to a collected task when its comment is removed from the code */
+export type RemovedCommentAction = 'complete' | 'flag';
+
+/** A TODO comment found in a file */
+export interface TodoComment {
+    /** Zero-based line */
+    line: number;
+    /** Task title: the comment text (shortened if long), tagged #fixme or #hack for those kinds */
+    title: string;
+}
+
+/** TODO comments of one source file */
+export interface ScannedFile {
+    uri: vscode.Uri;
+    comments: TodoComment[];
+}
+
+/** What a harvest changed in a task file */
+export interface HarvestResult {
+    added: number;
+    updated: number;
+    removed: number;
+}
+
+/**
+ * Find TODO, FIXME and HACK comments in a source file
+ * @param {string} content - File content
+ * @returns {TodoComment[]} Comments in file order
+ */
+export function findTodoComments(content: string): TodoComment[] {
+    const comments: TodoComment[] = [];
+    content.split(/\r?\n/).forEach((text, line) => {
+        // A marker inside a string literal is not a comment; a later one on the line may be
+        const match = [...text.matchAll(TODO_COMMENT_PATTERN)].find(m => !isInString(text.substring(0, m.index)));
+        if (!match) return;
+        const rest = text.substring((match.index ?? 0) + match[0].length);
+        const body = truncateTitle(rest.replace(/\s*(?:\*\/|-->)\s*$/, '').trim());
+        if (!body) return;
+        const kind = match[1];
+        comments.push({ line, title: kind === 'TODO' ? body : `${body} #${kind.toLowerCase()}` });
+    });
+    return comments;
+}
+
+/**
+ * Check whether the end of some code is inside a string literal (an odd number of unescaped quotes)
+ */
+function isInString(code: string): boolean {
+    const unescaped = code.replace(/\\./g, '');
+    return ['"', "'", '`'].some(quote => unescaped.split(quote).length % 2 === 0);
+}
+
+/**
+ * Bring a task file up to date with the TODO comments found in the code.
+ * A comment already in the file (same path and title, anywhere in the file or its archive)
+ * only gets its line updated; a task under the heading at the same path and line gets the
+ * edited text. Other comments are added under the heading (created if needed), with persistent ids.
+ * Open tasks under the heading whose comment is gone are completed or flagged #removed;
+ * a task whose comment is (back) in the code is reopened or loses the flag.
+ * @param {ParseResult} state - Parsed task file, changed in place
+ * @param {string} heading - Title of the heading collected tasks go under
+ * @param {{ link: CodeLink; title: string }[]} comments - Comments found, with links relative to the task file
+ * @param {(link: CodeLink) => boolean} isScanned - Whether a link points into the scanned files (only those can be gone)
+ * @param {RemovedCommentAction} whenRemoved - What to do with tasks whose comment is gone
+ * @returns {HarvestResult} Counts of the changes made
+ */
+export function reconcileTodoComments(
+    state: ParseResult,
+    heading: string,
+    comments: { link: CodeLink; title: string }[],
+    isScanned: (link: CodeLink) => boolean,
+    whenRemoved: RemovedCommentAction
+): HarvestResult {
+    const result: HarvestResult = { added: 0, updated: 0, removed: 0 };
+    const linked = (items: Item[]) => items.filter((item): item is ItemTodo => item.type === 'todo' && !!(item as ItemTodo).link);
+    let headingIndex = state.items.findIndex(item => item.type === 'heading' && item.title === heading);
+    const matched = new Set<ItemTodo>();
+    const pending: { link: CodeLink; task: ItemTodo }[] = [];
+
+    // Parsed like a line of the file, so the title compares with what the file holds
+    const candidates = comments.map(comment => ({ link: comment.link, task: parseMarkdown(`- [ ] ${comment.title}`).items[0] as ItemTodo }));
+
+    const collected = linked(headingIndex === -1 ? [] : state.items.slice(headingIndex + 1, sectionEnd(state.items, headingIndex)));
+
+    // Same text in the same file: the comment may have moved
+    const everywhere = linked([...state.items, ...state.archivedItems]);
+    for (const candidate of candidates) {
+        const task = everywhere.find(todo =>
+            !matched.has(todo) && todo.link?.path === candidate.link.path && withoutRemovedTag(todo.title) === candidate.task.title
+        );
+        if (!task) {
+            pending.push(candidate);
+            continue;
+        }
+        matched.add(task);
+        let changed = false;
+        if (task.link?.line !== candidate.link.line) {
+            task.link = candidate.link;
+            changed = true;
+        }
+        // The comment is back: undo what its removal did
+        if (task.tags.includes(REMOVED_TAG) && !candidate.task.tags.includes(REMOVED_TAG)) {
+            task.title = withoutRemovedTag(task.title);
+            task.tags = task.tags.filter(tag => tag !== REMOVED_TAG);
+            changed = true;
+        }
+        if (whenRemoved === 'complete' && task.isChecked && !task.status && collected.includes(task)) {
+            task.isChecked = false;
+            changed = true;
+        }
+        if (changed) result.updated++;
+    }
+
+    // Same place under the heading: the comment text was edited
+    for (const candidate of pending.splice(0)) {
+        const task = collected.find(todo => !matched.has(todo) && todo.link?.path === candidate.link.path && todo.link.line === candidate.link.line);
+        if (!task) {
+            pending.push(candidate);
+            continue;
+        }
+        matched.add(task);
+        task.title = candidate.task.title;
+        task.tags = candidate.task.tags;
+        task.priority = candidate.task.priority;
+        result.updated++;
+    }
+
+    for (const todo of collected) {
+        if (matched.has(todo) || todo.isChecked || todo.status || !todo.link || !isScanned(todo.link)) continue;
+        if (whenRemoved === 'complete') {
+            todo.isChecked = true;
+        } else if (todo.tags.includes(REMOVED_TAG)) {
+            continue;
+        } else {
+            todo.title = `${todo.title} #${REMOVED_TAG}`;
+            todo.tags = [...todo.tags, REMOVED_TAG];
+        }
+        result.removed++;
+    }
+
+    if (pending.length > 0) {
+        if (headingIndex === -1) {
+            state.items.push(new ItemHeading(heading, state.items.length));
+            headingIndex = state.items.length - 1;
+        }
+        state.items.splice(sectionEnd(state.items, headingIndex), 0, ...pending.map(candidate => {
+            candidate.task.link = candidate.link;
+            ensurePersistentId(candidate.task);
+            return candidate.task;
+        }));
+        result.added = pending.length;
+    }
+    return result;
+}
+
+/**
+ * Title without the #removed tag a harvest added
+ */
+function withoutRemovedTag(title: string): string {
+    return title.replace(REMOVED_TAG_PATTERN, '');
+}
+
+/**
+ * Index after the last item of a heading's section
+ */
+function sectionEnd(items: Item[], heading: number): number {
+    const next = items.findIndex((item, i) => i > heading && item.type === 'heading');
+    return next === -1 ? items.length : next;
+}
+
+/**
+ * Glob of files not to scan: the enabled `files.exclude` patterns and node_modules
+ * @param {vscode.WorkspaceFolder} folder - Workspace folder (files.exclude is resource-scoped)
+ */
+function getExcludeGlob(folder: vscode.WorkspaceFolder): string {
+    const excludes = vscode.workspace.getConfiguration('files', folder.uri).get<Record<string, unknown>>('exclude') ?? {};
+    // Patterns with a `when` clause depend on sibling files and are not applied here
+    const patterns = Object.keys(excludes).filter(pattern => excludes[pattern] === true);
+    // Joined into one group, which cannot hold the braces of a pattern such as `*.{js,map}`
+    return `{${[...patterns, '**/node_modules/**'].flatMap(expandBraces).join(',')}}`;
+}
+
+/**
+ * Pattern of the files `archyTask.todoComments.include` picks in a folder
+ */
+function getIncludePattern(folder: vscode.WorkspaceFolder): vscode.RelativePattern {
+    const include = vscode.workspace.getConfiguration('archyTask', folder.uri).get<string>('todoComments.include') || '**/*';
+    return new vscode.RelativePattern(folder, include);
+}
+
+/**
+ * Scan a workspace folder for TODO comments.
+ * Files are picked by `archyTask.todoComments.include`, minus `files.exclude`; files that are
+ * too large, past the MAX_FILES limit or unreadable are skipped.
+ * @param {vscode.WorkspaceFolder} folder - Folder to scan
+ * @returns {Promise<ScannedFile[]>} Every file that was read, with or without comments
+ */
+export async function scanTodoComments(folder: vscode.WorkspaceFolder): Promise<ScannedFile[]> {
+    const uris = await vscode.workspace.findFiles(getIncludePattern(folder), getExcludeGlob(folder), MAX_FILES);
+    const scanned: ScannedFile[] = [];
+    for (const uri of uris) {
+        try {
+            if ((await vscode.workspace.fs.stat(uri)).size > MAX_FILE_SIZE) continue;
+            const content = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8');
+            scanned.push({ uri, comments: findTodoComments(content) });
+        } catch {
+            // Removed or unreadable since it was listed
+        }
+    }
+    return scanned;
+}
+
+/**
+ * Scan one saved document, if the folder scan would include it
+ * @param {vscode.WorkspaceFolder} folder - Folder of the document
+ * @param {vscode.TextDocument} document - Saved document
+ * @returns {Promise<ScannedFile | undefined>} Its comments, or undefined if it is not scanned
+ */
+export async function scanTodoCommentsInDocument(folder: vscode.WorkspaceFolder, document: vscode.TextDocument): Promise<ScannedFile | undefined> {
+    if (vscode.languages.match({ pattern: getIncludePattern(folder) }, document) === 0) return undefined;
+    // findFiles applies the excludes; glob characters in the path are matched literally
+    const relative = path.posix.relative(folder.uri.path, document.uri.path).replace(/[*?[\]{}]/g, '[$&]');
+    const found = await vscode.workspace.findFiles(new vscode.RelativePattern(folder, relative), getExcludeGlob(folder), 1);
+    if (found.length === 0) return undefined;
+    return { uri: document.uri, comments: findTodoComments(document.getText()) };
+}
+
+/**
+ * Turn scanned files into comments with links relative to a task file
+ * @param {vscode.Uri} taskFileUri - Task file the comments go to
+ * @param {ScannedFile[]} files - Scanned files
+ */
+export function linkTodoComments(taskFileUri: vscode.Uri, files: ScannedFile[]): { link: CodeLink; title: string }[] {
+    return files.flatMap(file => file.comments.map(comment => ({
+        link: createCodeLink(taskFileUri, file.uri, comment.line),
+        title: comment.title
+    })));
+}